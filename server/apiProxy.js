@@ -0,0 +1,102 @@
+// server/apiProxy.js
+// Configuración compartida del proxy hacia la API de Laravel.
+// Las claves Ambu solo existen en el entorno del servidor (sin prefijo
+// VITE_, para que Vite nunca las incluya en el bundle) y se agregan a
+// cada petición /api/web/v1/* del lado del servidor.
+
+export const API_PREFIX = '/api/web/v1';
+export const DEFAULT_API_TARGET = 'https://azuritaa33.sg-host.com';
+
+// Cabecera -> variable de entorno
+const AMBU_HEADERS = {
+  'Ambu-Public-Key': 'AMBU_PUBLIC_KEY',
+  'Ambu-Private-Key': 'AMBU_PRIVATE_KEY'
+};
+
+export const isApiRequest = (url) =>
+  url === API_PREFIX || url.startsWith(`${API_PREFIX}/`) || url.startsWith(`${API_PREFIX}?`);
+
+/**
+ * Ruta y query de una petición a la API ya normalizada (sin ".", ".." ni
+ * barras codificadas), o null si una vez resuelta ya no es de la API:
+ * "/api/web/v1/../../otra" no debe llegar a otra ruta con las claves Ambu
+ */
+export const normalizeApiPath = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url, 'http://localhost');
+  } catch {
+    return null;
+  }
+  // %2F o %5C el servidor de destino podría decodificarlos como separadores
+  if (/%(2f|5c)/i.test(parsed.pathname)) return null;
+  return isApiRequest(parsed.pathname) ? `${parsed.pathname}${parsed.search}` : null;
+};
+
+/**
+ * URL de destino: la ruta base de API_TARGET (p. ej. https://host/backend)
+ * seguida de la ruta normalizada de la petición
+ */
+export const buildApiUrl = (target, apiPath) => {
+  const base = new URL(target);
+  return new URL(`${base.protocol}//${base.host}${base.pathname.replace(/\/+$/, '')}${apiPath}`);
+};
+
+// USE_MOCK_API=true apunta el proxy al mock local (server/mock)
+const usesMockApi = (env) => env.USE_MOCK_API === 'true' || env.USE_MOCK_API === '1';
+
+export const resolveApiTarget = (env) => {
+  if (usesMockApi(env)) return `http://localhost:${env.MOCK_API_PORT || 8000}`;
+  return env.API_TARGET || DEFAULT_API_TARGET;
+};
+
+/**
+ * Cabeceras Ambu a partir del entorno; avisa una sola vez si falta alguna
+ */
+let warnedMissingKeys = false;
+export const getAmbuHeaders = (env) => {
+  const headers = {};
+  const missing = [];
+
+  Object.entries(AMBU_HEADERS).forEach(([header, variable]) => {
+    if (env[variable]) headers[header] = env[variable];
+    // El mock acepta cualquier clave no vacía si no tiene las suyas
+    else if (usesMockApi(env)) headers[header] = 'mock';
+    else missing.push(variable);
+  });
+
+  if (missing.length > 0 && !warnedMissingKeys) {
+    warnedMissingKeys = true;
+    console.warn(`[api-proxy] Faltan variables de entorno: ${missing.join(', ')}. La API responderá 401.`);
+  }
+  return headers;
+};
+
+/**
+ * Devuelve una copia de `headers` sin las cabeceras Ambu que envíe el
+ * navegador y con las del servidor
+ */
+export const withAmbuHeaders = (headers, env) => {
+  const blocked = Object.keys(AMBU_HEADERS).map((header) => header.toLowerCase());
+  const clean = Object.fromEntries(
+    Object.entries(headers).filter(([header]) => !blocked.includes(header.toLowerCase()))
+  );
+  return { ...clean, ...getAmbuHeaders(env) };
+};
+
+/**
+ * Opciones de `server.proxy` / `preview.proxy` para Vite
+ */
+export const createViteApiProxy = (env) => ({
+  [API_PREFIX]: {
+    target: resolveApiTarget(env),
+    changeOrigin: true,
+    secure: true,
+    configure: (proxy) => {
+      proxy.on('proxyReq', (proxyReq) => {
+        Object.keys(AMBU_HEADERS).forEach((header) => proxyReq.removeHeader(header));
+        Object.entries(getAmbuHeaders(env)).forEach(([header, value]) => proxyReq.setHeader(header, value));
+      });
+    }
+  }
+});
@@ -0,0 +1,138 @@
+// server/index.js
+// Servidor de producción: sirve el build de Vite (dist/) y reenvía
+// /api/web/v1/* a la API agregando las claves Ambu del lado del servidor.
+//
+// Uso: npm run build && npm start
+import http from 'node:http';
+import https from 'node:https';
+import { createReadStream } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  API_PREFIX, buildApiUrl, isApiRequest, normalizeApiPath, resolveApiTarget, withAmbuHeaders
+} from './apiProxy.js';
+
+// Node 20.12+ puede leer .env sin dependencias; si no existe, usamos el entorno
+try {
+  process.loadEnvFile();
+} catch {
+  // Sin archivo .env
+}
+
+const PORT = Number(process.env.PORT) || 4173;
+const DIST_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../dist');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2'
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Reenvía la petición a la API conservando método, cuerpo y query string.
+ * La ruta se normaliza antes de agregar las claves: si deja de ser de la
+ * API (p. ej. con "..") se rechaza.
+ */
+const proxyApi = (req, res) => {
+  const apiPath = normalizeApiPath(req.url);
+  if (!apiPath) {
+    sendJson(res, 400, { message: 'Ruta de la API no válida' });
+    return;
+  }
+
+  const target = buildApiUrl(resolveApiTarget(process.env), apiPath);
+  const transport = target.protocol === 'https:' ? https : http;
+  const headers = withAmbuHeaders({ ...req.headers, host: target.host }, process.env);
+
+  const upstream = transport.request(target, { method: req.method, headers }, (upstreamRes) => {
+    res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+    upstreamRes.pipe(res);
+  });
+
+  upstream.on('error', (error) => {
+    console.error('[api-proxy] Error al contactar la API:', error.message);
+    if (!res.headersSent) {
+      sendJson(res, 502, { message: 'No se pudo conectar con la API de parques' });
+    } else {
+      res.destroy(error);
+    }
+  });
+
+  req.pipe(upstream);
+};
+
+const isFile = async (filePath) => {
+  try {
+    return (await stat(filePath)).isFile();
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Archivos estáticos de dist/ con fallback a index.html para las rutas de React Router
+ */
+const serveStatic = async (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const indexPath = path.join(DIST_DIR, 'index.html');
+  let requested;
+  try {
+    requested = path.join(DIST_DIR, decodeURIComponent(pathname));
+  } catch {
+    requested = indexPath;
+  }
+
+  // Evitar salir de dist/ con rutas como /../../etc/passwd
+  const filePath = requested.startsWith(DIST_DIR) && await isFile(requested) ? requested : indexPath;
+
+  if (filePath === indexPath && !await isFile(indexPath)) {
+    res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('No se encontró el build. Ejecuta "npm run build" primero.');
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+    // Los assets de Vite llevan hash en el nombre
+    'Cache-Control': pathname.startsWith('/assets/') ? 'public, max-age=31536000, immutable' : 'no-cache'
+  });
+
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  createReadStream(filePath).on('error', (error) => res.destroy(error)).pipe(res);
+};
+
+const server = http.createServer((req, res) => {
+  if (isApiRequest(req.url)) {
+    proxyApi(req, res);
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    sendJson(res, 405, { message: 'Método no permitido' });
+    return;
+  }
+
+  serveStatic(req, res);
+});
+
+server.listen(PORT, () => {
+  console.log(`Servidor listo en http://localhost:${PORT}`);
+  console.log(`Proxy ${API_PREFIX} -> ${resolveApiTarget(process.env)}`);
+});
@@ -0,0 +1,51 @@
+// server/mock/images.js
+// Imágenes subidas al mock, en disco como el disco "public" de Laravel:
+// park_img_uri = "parks/<archivo>" y se sirven en /storage/parks/<archivo>.
+import { mkdir, unlink, writeFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { IMAGE_TYPES } from './validation.js';
+
+export const STORAGE_PREFIX = '/storage/';
+
+export const CONTENT_TYPES = Object.fromEntries(
+  Object.entries(IMAGE_TYPES).map(([type, extension]) => [`.${extension}`, type])
+);
+
+export const createImageStorage = (storageDir) => {
+  const root = path.resolve(storageDir);
+
+  // Ruta en disco de un park_img_uri, sin permitir salir de la carpeta
+  const resolve = (uri) => {
+    const filePath = path.resolve(root, String(uri));
+    return filePath.startsWith(`${root}${path.sep}`) ? filePath : null;
+  };
+
+  return {
+    /** Guarda el archivo (File de la petición) y devuelve su park_img_uri */
+    async save(parkId, file) {
+      const uri = `parks/${parkId}-${Date.now()}.${IMAGE_TYPES[file.type]}`;
+      const filePath = resolve(uri);
+      await mkdir(path.dirname(filePath), { recursive: true });
+      await writeFile(filePath, Buffer.from(await file.arrayBuffer()));
+      return uri;
+    },
+
+    /** Borra una imagen anterior; si ya no existe no pasa nada */
+    async remove(uri) {
+      const filePath = uri && resolve(uri);
+      if (!filePath) return;
+      await unlink(filePath).catch(() => {});
+    },
+
+    /** Ruta del archivo a servir para /storage/<uri>, o null */
+    async find(uri) {
+      const filePath = resolve(uri);
+      if (!filePath) return null;
+      try {
+        return (await stat(filePath)).isFile() ? filePath : null;
+      } catch {
+        return null;
+      }
+    }
+  };
+};
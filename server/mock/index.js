@@ -0,0 +1,263 @@
+// server/mock/index.js
+// Sustituto local de la API de Laravel para /api/web/v1/parks.
+// Permite trabajar sin acceso a azuritaa33.sg-host.com:
+//
+//   npm run mock:api                  # http://localhost:8000
+//   USE_MOCK_API=true npm run dev     # el proxy de Vite apunta al mock
+//
+// Variables: MOCK_API_PORT, MOCK_API_DB (archivo JSON), MOCK_API_STORAGE
+// (carpeta de imágenes subidas), AMBU_PUBLIC_KEY y AMBU_PRIVATE_KEY (si no
+// están definidas se acepta cualquier clave no vacía).
+import http from 'node:http';
+import path from 'node:path';
+import { createReadStream } from 'node:fs';
+import { Readable } from 'node:stream';
+import { fileURLToPath } from 'node:url';
+import { API_PREFIX } from '../apiProxy.js';
+import { CONTENT_TYPES, STORAGE_PREFIX, createImageStorage } from './images.js';
+import { paginate } from './pagination.js';
+import { createParkStore } from './store.js';
+import { castPark, summarizeErrors, validateImage, validatePark } from './validation.js';
+
+const MOCK_DIR = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DB_FILE = path.join(MOCK_DIR, 'db.json');
+const DEFAULT_STORAGE_DIR = path.join(MOCK_DIR, 'storage');
+
+const sendJson = (res, status, body) => {
+  if (body === undefined) {
+    res.writeHead(status);
+    res.end();
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readJsonBody = (req) =>
+  new Promise((resolve, reject) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      if (!raw) return resolve({});
+      try {
+        resolve(JSON.parse(raw));
+      } catch (error) {
+        reject(new SyntaxError('Malformed JSON body.', { cause: error }));
+      }
+    });
+    req.on('error', reject);
+  });
+
+/**
+ * Cuerpo JSON o multipart (formulario con imagen). Devuelve los campos de
+ * texto en `body` y el archivo park_img, si vino, en `image`.
+ */
+const readBody = async (req) => {
+  if (!String(req.headers['content-type']).startsWith('multipart/form-data')) {
+    return { body: await readJsonBody(req), image: null };
+  }
+
+  // El parser de multipart de fetch (undici) evita una dependencia
+  let form;
+  try {
+    const request = new Request('http://localhost', {
+      method: 'POST',
+      headers: { 'content-type': req.headers['content-type'] },
+      body: Readable.toWeb(req),
+      duplex: 'half'
+    });
+    form = await request.formData();
+  } catch (error) {
+    throw new SyntaxError('Malformed multipart body.', { cause: error });
+  }
+
+  const body = {};
+  form.forEach((value, field) => {
+    if (typeof value === 'string') body[field] = value;
+  });
+  return { body, image: form.has('park_img') ? form.get('park_img') : null };
+};
+
+const invalid = (res, errors) => sendJson(res, 422, { message: summarizeErrors(errors), errors });
+
+// JSON válido pero que no es un objeto (null, [], "x"): no hay campos que validar
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const notAnObject = (res) => sendJson(res, 422, { message: 'The request body must be a JSON object.', errors: {} });
+
+const notFound = (id) => ({ message: `No query results for model [App\\Models\\Park] ${id}` });
+
+const duplicateAbbreviation = (abbreviation) => ({
+  message: `The park abbreviation "${abbreviation}" has already been taken.`,
+  errors: { park_abbreviation: ['The park abbreviation has already been taken.'] }
+});
+
+/**
+ * Crea el servidor del mock. Se exporta para poder levantarlo desde pruebas
+ * con otro archivo de datos o claves.
+ */
+export const createMockApiServer = async ({
+  dbFile = DEFAULT_DB_FILE,
+  storageDir = DEFAULT_STORAGE_DIR,
+  publicKey = process.env.AMBU_PUBLIC_KEY,
+  privateKey = process.env.AMBU_PRIVATE_KEY
+} = {}) => {
+  const store = await createParkStore(dbFile);
+  const images = createImageStorage(storageDir);
+
+  const isAuthorized = (req) => {
+    const sentPublic = req.headers['ambu-public-key'];
+    const sentPrivate = req.headers['ambu-private-key'];
+    if (!sentPublic || !sentPrivate) return false;
+    if (publicKey && sentPublic !== publicKey) return false;
+    if (privateKey && sentPrivate !== privateKey) return false;
+    return true;
+  };
+
+  const routes = {
+    /**
+     * GET /parks?page=N&per_page=M con el sobre de paginación de Laravel;
+     * `park_abbreviation` filtra por abreviación exacta (sin mayúsculas)
+     */
+    async list(req, res) {
+      const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+      const abbreviation = url.searchParams.get('park_abbreviation');
+      const parks = abbreviation
+        ? store.all().filter((park) => park.park_abbreviation.toUpperCase() === abbreviation.toUpperCase())
+        : store.all();
+      sendJson(res, 200, paginate(parks, url));
+    },
+
+    async show(req, res, id) {
+      const park = store.find(id);
+      if (!park) return sendJson(res, 404, notFound(id));
+      sendJson(res, 200, { data: park });
+    },
+
+    /** POST /parks - JSON, o multipart con la imagen en park_img */
+    async create(req, res) {
+      const { body, image } = await readBody(req);
+      if (!isPlainObject(body)) return notAnObject(res);
+      const errors = { ...validatePark(body, { imageUploaded: Boolean(image) }), ...(image && validateImage(image)) };
+      if (Object.keys(errors).length > 0) return invalid(res, errors);
+
+      const data = castPark(body);
+      if (store.findByAbbreviation(data.park_abbreviation)) {
+        return sendJson(res, 409, duplicateAbbreviation(data.park_abbreviation));
+      }
+
+      let park = await store.create(data);
+      if (image) park = await store.update(park.id, { park_img_uri: await images.save(park.id, image) });
+      sendJson(res, 201, { data: park });
+    },
+
+    /** PUT /parks/{id}, o POST multipart con `_method=PUT` para cambiar la imagen */
+    async update(req, res, id) {
+      const current = store.find(id);
+      if (!current) return sendJson(res, 404, notFound(id));
+
+      const { body, image } = await readBody(req);
+      if (!isPlainObject(body)) return notAnObject(res);
+      const errors = {
+        ...validatePark(body, { partial: true, imageUploaded: Boolean(image || current.park_img_uri) }),
+        ...(image && validateImage(image))
+      };
+      if (Object.keys(errors).length > 0) return invalid(res, errors);
+
+      const data = castPark(body);
+      if (data.park_abbreviation && store.findByAbbreviation(data.park_abbreviation, id)) {
+        return sendJson(res, 409, duplicateAbbreviation(data.park_abbreviation));
+      }
+
+      if (image) {
+        const previous = current.park_img_uri;
+        data.park_img_uri = await images.save(id, image);
+        await images.remove(previous);
+      }
+      sendJson(res, 200, { data: await store.update(id, data) });
+    },
+
+    async destroy(req, res, id) {
+      const park = store.find(id);
+      if (!park) return sendJson(res, 404, notFound(id));
+      await store.remove(id);
+      await images.remove(park.park_img_uri);
+      sendJson(res, 204);
+    }
+  };
+
+  const resolveRoute = (method, pathname) => {
+    const match = pathname.match(new RegExp(`^${API_PREFIX}/parks(?:/([^/]+))?/?$`));
+    if (!match) return null;
+
+    const [, id] = match;
+    if (!id) {
+      if (method === 'GET') return [routes.list];
+      if (method === 'POST') return [routes.create];
+    } else {
+      if (method === 'GET') return [routes.show, id];
+      // POST con id: method spoofing de Laravel para enviar archivos al editar
+      if (method === 'PUT' || method === 'PATCH' || method === 'POST') return [routes.update, id];
+      if (method === 'DELETE') return [routes.destroy, id];
+    }
+    return [(req, res) => sendJson(res, 405, { message: `The ${method} method is not supported for this route.` })];
+  };
+
+  /** GET /storage/<park_img_uri> - público, como el enlace storage de Laravel */
+  const serveImage = async (res, pathname) => {
+    let uri;
+    try {
+      uri = decodeURIComponent(pathname.slice(STORAGE_PREFIX.length));
+    } catch {
+      uri = '';
+    }
+    const filePath = await images.find(uri);
+    if (!filePath || !CONTENT_TYPES[path.extname(filePath)]) return sendJson(res, 404, { message: 'Not Found' });
+
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)], 'Cache-Control': 'public, max-age=3600' });
+    createReadStream(filePath).on('error', (error) => res.destroy(error)).pipe(res);
+  };
+
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    console.log(`[mock-api] ${req.method} ${req.url}`);
+
+    if (req.method === 'GET' && pathname.startsWith(STORAGE_PREFIX)) return serveImage(res, pathname);
+
+    const route = resolveRoute(req.method, pathname);
+
+    if (!route) return sendJson(res, 404, { message: `The route ${pathname.slice(1)} could not be found.` });
+    if (!isAuthorized(req)) return sendJson(res, 401, { message: 'Unauthenticated.' });
+
+    const [handler, id] = route;
+    try {
+      await handler(req, res, id);
+    } catch (error) {
+      if (error instanceof SyntaxError) return sendJson(res, 400, { message: error.message });
+      console.error('[mock-api] Error interno:', error);
+      sendJson(res, 500, { message: 'Server Error' });
+    }
+  });
+};
+
+// Ejecución directa: node server/mock/index.js
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  try {
+    process.loadEnvFile();
+  } catch {
+    // Sin archivo .env
+  }
+
+  const port = Number(process.env.MOCK_API_PORT) || 8000;
+  const dbFile = process.env.MOCK_API_DB ? path.resolve(process.env.MOCK_API_DB) : DEFAULT_DB_FILE;
+  const storageDir = process.env.MOCK_API_STORAGE ? path.resolve(process.env.MOCK_API_STORAGE) : DEFAULT_STORAGE_DIR;
+  const server = await createMockApiServer({ dbFile, storageDir });
+
+  server.listen(port, () => {
+    console.log(`Mock de la API de parques en http://localhost:${port}${API_PREFIX}/parks`);
+    console.log(`Datos: ${dbFile}`);
+    console.log(`Imágenes: ${storageDir} (${STORAGE_PREFIX})`);
+  });
+}
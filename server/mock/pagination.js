@@ -0,0 +1,57 @@
+// server/mock/pagination.js
+// Paginación al estilo de Laravel (`->paginate()` con API Resources):
+// `{ data, links: { first, last, prev, next }, meta: { current_page, ... } }`.
+// El servidor decide el tamaño de página; `per_page` fuera de rango se
+// ajusta a los límites en lugar de rechazarse.
+
+export const PAGINATION_LIMITS = {
+  defaultPerPage: 15,
+  maxPerPage: 50
+};
+
+const toPositiveInt = (value) => {
+  if (value === null || value === undefined || !/^\d+$/.test(value)) return null;
+  const number = Number(value);
+  return number > 0 ? number : null;
+};
+
+/**
+ * @param {Array} items - Colección completa, ya ordenada
+ * @param {URL} url - URL de la petición (lee `page` y `per_page`)
+ */
+export const paginate = (items, url, limits = PAGINATION_LIMITS) => {
+  const perPage = Math.min(toPositiveInt(url.searchParams.get('per_page')) ?? limits.defaultPerPage, limits.maxPerPage);
+  // Laravel trata una página inválida como la primera
+  const currentPage = toPositiveInt(url.searchParams.get('page')) ?? 1;
+  const total = items.length;
+  const lastPage = Math.max(1, Math.ceil(total / perPage));
+
+  const start = (currentPage - 1) * perPage;
+  const data = items.slice(start, start + perPage);
+
+  const path = `${url.origin}${url.pathname}`;
+  const pageUrl = (page) => {
+    const params = new URLSearchParams(url.searchParams);
+    params.set('page', page);
+    return `${path}?${params}`;
+  };
+
+  return {
+    data,
+    links: {
+      first: pageUrl(1),
+      last: pageUrl(lastPage),
+      prev: currentPage > 1 ? pageUrl(currentPage - 1) : null,
+      next: currentPage < lastPage ? pageUrl(currentPage + 1) : null
+    },
+    meta: {
+      current_page: currentPage,
+      from: data.length > 0 ? start + 1 : null,
+      last_page: lastPage,
+      path,
+      per_page: perPage,
+      to: data.length > 0 ? start + data.length : null,
+      total
+    }
+  };
+};
@@ -0,0 +1,71 @@
+// server/mock/store.js
+// Persistencia del mock en un archivo JSON. Si el archivo no existe se
+// crea a partir de seed.json; cada escritura reemplaza el archivo completo.
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SEED_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'seed.json');
+
+export const createParkStore = async (dbFile) => {
+  let parks;
+
+  try {
+    parks = JSON.parse(await readFile(dbFile, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    parks = JSON.parse(await readFile(SEED_FILE, 'utf8'));
+    await mkdir(path.dirname(dbFile), { recursive: true });
+  }
+
+  // Escritura atómica: un corte a mitad de escritura no deja el JSON roto.
+  // Las escrituras van en cola para que dos peticiones simultáneas no
+  // compartan el archivo temporal ni una copia vieja pise a una nueva.
+  let writes = Promise.resolve();
+  const persist = () => {
+    const write = writes.then(async () => {
+      const tmpFile = `${dbFile}.tmp`;
+      await writeFile(tmpFile, `${JSON.stringify(parks, null, 2)}\n`);
+      await rename(tmpFile, dbFile);
+    });
+    // Un fallo se informa a quien escribió, sin bloquear las siguientes
+    writes = write.catch(() => {});
+    return write;
+  };
+
+  await persist();
+
+  const now = () => new Date().toISOString();
+
+  return {
+    all: () => parks,
+
+    find: (id) => parks.find((park) => String(park.id) === String(id)) || null,
+
+    findByAbbreviation: (abbreviation, exceptId = null) =>
+      parks.find((park) =>
+        park.park_abbreviation.toUpperCase() === String(abbreviation).toUpperCase() &&
+        String(park.id) !== String(exceptId)
+      ) || null,
+
+    async create(data) {
+      const id = parks.reduce((max, park) => Math.max(max, park.id), 0) + 1;
+      const park = { id, park_img_uri: null, ...data, created_at: now(), updated_at: now() };
+      parks.push(park);
+      await persist();
+      return park;
+    },
+
+    async update(id, data) {
+      const park = parks.find((item) => String(item.id) === String(id));
+      Object.assign(park, data, { updated_at: now() });
+      await persist();
+      return park;
+    },
+
+    async remove(id) {
+      parks = parks.filter((park) => String(park.id) !== String(id));
+      await persist();
+    }
+  };
+};
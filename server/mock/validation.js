@@ -0,0 +1,138 @@
+// server/mock/validation.js
+// Reglas de validación del README con los mensajes por defecto de Laravel,
+// para que las respuestas 422 tengan la misma forma que las del backend real.
+// Las ciudades válidas salen del mismo catálogo de regiones que usa el cliente.
+import { ALL_MUNICIPALITIES } from '../../src/data/regions.js';
+
+export const VALID_CITIES = ALL_MUNICIPALITIES;
+
+const IMAGE_URL_PATTERN = /\.(jpg|jpeg|png)(\?.*)?$/i;
+
+// park_zip_code -> "park zip code", como hace Laravel con los atributos
+const attribute = (field) => field.replace(/_/g, ' ');
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const isUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+const isNumeric = (value) =>
+  (typeof value === 'number' && Number.isFinite(value)) ||
+  (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)));
+
+// Como la regla `integer` de Laravel: ni "1e3" ni "0x10" ni decimales
+const isInteger = (value) =>
+  (typeof value === 'number' || typeof value === 'string') && /^-?\d+$/.test(String(value));
+
+const string = (max) => (value, field) => {
+  if (typeof value !== 'string') return `The ${attribute(field)} field must be a string.`;
+  if (value.length > max) return `The ${attribute(field)} field must not be greater than ${max} characters.`;
+  return null;
+};
+
+const RULES = {
+  park_name: [string(100)],
+  park_abbreviation: [string(10)],
+  park_img_url: [
+    string(2048),
+    (value, field) => (isUrl(value) ? null : `The ${attribute(field)} field must be a valid URL.`),
+    (value, field) => (IMAGE_URL_PATTERN.test(value) ? null : `The ${attribute(field)} field format is invalid.`)
+  ],
+  park_address: [string(150)],
+  park_city: [(value, field) => (VALID_CITIES.includes(value) ? null : `The selected ${attribute(field)} is invalid.`)],
+  park_state: [string(100)],
+  park_zip_code: [
+    (value, field) => (isInteger(value) ? null : `The ${attribute(field)} field must be an integer.`)
+  ],
+  park_latitude: [(value, field) => (isNumeric(value) ? null : `The ${attribute(field)} field must be a number.`)],
+  park_longitude: [(value, field) => (isNumeric(value) ? null : `The ${attribute(field)} field must be a number.`)]
+};
+
+export const PARK_FIELDS = Object.keys(RULES);
+
+/**
+ * Valida el cuerpo de la petición. Con `partial` (PUT) solo se validan los
+ * campos presentes, como la regla `sometimes` de Laravel. Con
+ * `imageUploaded` (archivo en la petición o ya guardado) la URL de imagen es
+ * opcional, como `required_without:park_img`.
+ * Devuelve `null` si es válido o el objeto `errors` de Laravel.
+ */
+export const validatePark = (body, { partial = false, imageUploaded = false } = {}) => {
+  const errors = {};
+
+  PARK_FIELDS.forEach((field) => {
+    const present = Object.prototype.hasOwnProperty.call(body, field);
+    if (partial && !present) return;
+
+    const value = body[field];
+    if (isBlank(value)) {
+      if (field === 'park_img_url' && imageUploaded) return;
+      errors[field] = [field === 'park_img_url'
+        ? `The ${attribute(field)} field is required when park img is not present.`
+        : `The ${attribute(field)} field is required.`];
+      return;
+    }
+
+    for (const rule of RULES[field]) {
+      const message = rule(value, field);
+      if (message) {
+        errors[field] = [message];
+        return;
+      }
+    }
+  });
+
+  return Object.keys(errors).length > 0 ? errors : null;
+};
+
+export const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+export const MAX_IMAGE_KB = 2048;
+
+/**
+ * Reglas del archivo park_img (`image|mimes:jpg,jpeg,png,webp|max:2048`).
+ * Devuelve `null` o el objeto `errors` de Laravel.
+ */
+export const validateImage = (file) => {
+  if (!file || typeof file === 'string') return { park_img: ['The park img field must be an image.'] };
+  if (!IMAGE_TYPES[file.type]) return { park_img: ['The park img field must be a file of type: jpg, jpeg, png, webp.'] };
+  if (file.size > MAX_IMAGE_KB * 1024) {
+    return { park_img: [`The park img field must not be greater than ${MAX_IMAGE_KB} kilobytes.`] };
+  }
+  return null;
+};
+
+/**
+ * Mensaje principal de Laravel: el primer error y cuántos más hay
+ */
+export const summarizeErrors = (errors) => {
+  const messages = Object.values(errors).flat();
+  const extra = messages.length - 1;
+  if (extra === 0) return messages[0];
+  return `${messages[0]} (and ${extra} more error${extra > 1 ? 's' : ''})`;
+};
+
+/**
+ * Convierte los campos validados a los tipos que guarda la base de datos
+ */
+export const castPark = (body) => {
+  const park = {};
+  PARK_FIELDS.forEach((field) => {
+    if (!Object.prototype.hasOwnProperty.call(body, field)) return;
+    const value = body[field];
+    if (field === 'park_zip_code') park[field] = Number(value);
+    else if (field === 'park_latitude' || field === 'park_longitude') park[field] = parseFloat(value);
+    else park[field] = typeof value === 'string' ? value.trim() : value;
+  });
+  return park;
+};
@@ -33,28 +33,46 @@
 // }
 
 // export default App
-import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
+import { createBrowserRouter, Outlet, RouterProvider } from "react-router-dom";
 import Home from "./pages/Home";
 import ParkDetail from "./pages/ParkDetail"; // 👈 importa el detalle
 import ParkForm from './components/ParkForm';
 import ParkEditForm from './components/ParkEditForm'; // Ajusta la ruta según tu estructura
+import OutboxStatus from './components/OutboxStatus';
 
-function App() {
+/** Estructura común a todas las páginas */
+function Layout() {
   return (
-    <Router>
-      <Routes>
-        {/* Página principal con la lista de parques */}
-        <Route path="/" element={<Home />} />
+    <>
+      <Outlet />
 
-        {/* Página de detalle de un parque */}
-        <Route path="/parks/:id" element={<ParkDetail />} />
+      {/* Cambios hechos sin conexión pendientes de enviar */}
+      <OutboxStatus />
+    </>
+  );
+}
 
-                <Route path="/parks/new" element={<ParkForm />} />
+// Router de datos: necesario para bloquear la navegación con cambios sin
+// guardar (useBlocker en los formularios)
+const router = createBrowserRouter([
+  {
+    element: <Layout />,
+    children: [
+      // Página principal con la lista de parques
+      { path: "/", element: <Home /> },
 
-                <Route path="/parks/:id/edit" element={<ParkEditForm />} />
-      </Routes>
-    </Router>
-  );
+      // Página de detalle de un parque
+      { path: "/parks/:id", element: <ParkDetail /> },
+
+      { path: "/parks/new", element: <ParkForm /> },
+
+      { path: "/parks/:id/edit", element: <ParkEditForm /> }
+    ]
+  }
+]);
+
+function App() {
+  return <RouterProvider router={router} />;
 }
 
 export default App;
@@ -1,13 +1,18 @@
 import axios from "axios";
+import { attachRetryPolicy } from "./retry";
 
+// Las claves Ambu las agrega el proxy (vite.config.js en desarrollo,
+// server/index.js en producción); nunca deben estar en el bundle
 const api = axios.create({
   baseURL: "/api/web/v1", // Incluye la ruta completa después de /api
   headers: {
     Accept: "application/json",
     "Content-Type": "application/json",
-    "Ambu-Public-Key": "AMBU-T-BXiqUTFtRg8PbWLc-57055915-n59AHW",
-    "Ambu-Private-Key": "AMBU-fVN0VyresedITDPm7pvGrjnb2urUxlR0EKsS1qc86T4VEWP6-VFZ4N83UcrKS357V-T",
   },
 });
 
-export default api;
\ No newline at end of file
+// Reintentos automáticos con backoff (ver ./retry.js); la UI solo
+// muestra un error cuando se agotan
+attachRetryPolicy(api);
+
+export default api;
@@ -0,0 +1,121 @@
+// api/errors.js
+// Errores tipados para las respuestas de la API de parques.
+// Los componentes pueden distinguir el caso con `instanceof` sin
+// inspeccionar la respuesta de axios.
+
+export class ParkServiceError extends Error {
+  constructor(message, { status = null, code = null, data = null, cause = null, attempts = 1 } = {}) {
+    super(message);
+    this.name = 'ParkServiceError';
+    this.status = status;
+    this.code = code;
+    this.data = data;
+    this.cause = cause;
+    // Intentos realizados, incluidos los reintentos automáticos
+    this.attempts = attempts;
+  }
+}
+
+/** 404 - El parque no existe o fue eliminado */
+export class ParkNotFoundError extends ParkServiceError {
+  constructor(message = 'Parque no encontrado', options = {}) {
+    super(message, { status: 404, ...options });
+    this.name = 'ParkNotFoundError';
+  }
+}
+
+/** 422 - Laravel rechazó los datos; `errors` trae los mensajes por campo */
+export class ParkValidationError extends ParkServiceError {
+  constructor(message = 'Datos inválidos', { errors = {}, ...options } = {}) {
+    super(message, { status: 422, ...options });
+    this.name = 'ParkValidationError';
+    this.errors = errors;
+  }
+}
+
+/** 409 - Parque duplicado (abreviación o nombre ya existentes) */
+export class ParkConflictError extends ParkServiceError {
+  constructor(message = 'Parque duplicado', options = {}) {
+    super(message, { status: 409, ...options });
+    this.name = 'ParkConflictError';
+  }
+}
+
+/** Sin respuesta del servidor: red caída o tiempo agotado */
+export class ParkNetworkError extends ParkServiceError {
+  constructor(message = 'No se pudo conectar con el servidor', options = {}) {
+    super(message, options);
+    this.name = 'ParkNetworkError';
+    this.isTimeout = options.code === 'ECONNABORTED' || options.code === 'ETIMEDOUT';
+  }
+}
+
+/** La petición se canceló (AbortController): no es un error para el usuario */
+export class ParkRequestCanceledError extends ParkServiceError {
+  constructor(message = 'Petición cancelada', options = {}) {
+    super(message, options);
+    this.name = 'ParkRequestCanceledError';
+  }
+}
+
+export const isCanceledError = (error) =>
+  error instanceof ParkRequestCanceledError || error?.code === 'ERR_CANCELED' || error?.name === 'AbortError';
+
+/**
+ * Convierte un error de axios (o cualquier otro) en un ParkServiceError
+ */
+export const toParkServiceError = (error) => {
+  if (error instanceof ParkServiceError) return error;
+
+  const response = error?.response;
+  const options = {
+    code: error?.code ?? null,
+    data: response?.data ?? null,
+    cause: error,
+    attempts: (error?.config?.retryAttempt || 0) + 1
+  };
+
+  if (isCanceledError(error)) {
+    return new ParkRequestCanceledError(undefined, options);
+  }
+
+  if (!response) {
+    return new ParkNetworkError(error?.message || undefined, options);
+  }
+
+  const message = response.data?.message || response.data?.error || error.message;
+
+  switch (response.status) {
+    case 404:
+      return new ParkNotFoundError(message, options);
+    case 409:
+      return new ParkConflictError(message, options);
+    case 422:
+      return new ParkValidationError(message, { ...options, errors: response.data?.errors || {} });
+    default:
+      return new ParkServiceError(message, { ...options, status: response.status });
+  }
+};
+
+/**
+ * Texto para las alertas cuando el error llegó tras reintentos automáticos
+ */
+export const describeAttempts = (error) =>
+  error?.attempts > 1 ? ` (se intentó ${error.attempts} veces)` : '';
+
+/**
+ * Mensajes por campo de una respuesta de Laravel (`errors: { campo: [...] }`),
+ * con el primer mensaje de cada campo. Los 409 del API también pueden traerlos.
+ */
+export const getFieldErrors = (error) => {
+  const source = error?.errors || error?.data?.errors;
+  if (!source || typeof source !== 'object') return {};
+
+  return Object.entries(source).reduce((fields, [key, messages]) => {
+    // `park_name.0` (reglas sobre arreglos) se asigna al campo base
+    const field = key.split('.')[0];
+    const message = Array.isArray(messages) ? messages[0] : messages;
+    if (message && !fields[field]) fields[field] = String(message);
+    return fields;
+  }, {});
+};
@@ -0,0 +1,75 @@
+// api/offlineStore.js
+// Envoltorio mínimo de IndexedDB con promesas. Guarda la bandeja de salida
+// (mutaciones hechas sin conexión) y la última copia sincronizada de la
+// lista de parques.
+
+const DB_NAME = 'parks-offline';
+const DB_VERSION = 1;
+
+export const STORES = {
+  outbox: 'outbox',       // { id (autoincremental), type, parkId, data, ... }
+  snapshots: 'snapshots'  // clave de caché -> { data, savedAt }
+};
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB no está disponible en este navegador'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORES.outbox)) {
+        db.createObjectStore(STORES.outbox, { keyPath: 'id', autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(STORES.snapshots)) {
+        db.createObjectStore(STORES.snapshots);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Permitir un nuevo intento si la apertura falló
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+};
+
+/**
+ * Ejecuta `operation(store)` en una transacción y resuelve con el
+ * resultado de la petición cuando la transacción termina
+ */
+const run = async (storeName, mode, operation) => {
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const offlineStore = {
+  outbox: {
+    all: () => run(STORES.outbox, 'readonly', (store) => store.getAll()),
+    /** Devuelve el id asignado */
+    add: (item) => run(STORES.outbox, 'readwrite', (store) => store.add(item)),
+    put: (item) => run(STORES.outbox, 'readwrite', (store) => store.put(item)),
+    delete: (id) => run(STORES.outbox, 'readwrite', (store) => store.delete(id))
+  },
+
+  snapshots: {
+    get: (key) => run(STORES.snapshots, 'readonly', (store) => store.get(key)),
+    set: (key, data) => run(STORES.snapshots, 'readwrite', (store) => store.put({ data, savedAt: Date.now() }, key))
+  }
+};
+
+export default offlineStore;
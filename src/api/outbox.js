@@ -0,0 +1,236 @@
+// api/outbox.js
+// Bandeja de salida para crear, editar y eliminar parques sin conexión.
+// Cada mutación se guarda en IndexedDB (ver ./offlineStore.js) y se
+// reenvía en orden cuando vuelve la conexión. Los conflictos (404 al
+// actualizar, 409 al crear, 422) quedan marcados para que el usuario decida.
+import offlineStore from './offlineStore';
+import parksService, { parksKeys } from './parksService';
+import queryCache from './queryCache';
+import { ParkConflictError, ParkNotFoundError, ParkValidationError } from './errors';
+
+export const TEMP_ID_PREFIX = 'tmp-';
+export const isTempId = (id) => String(id).startsWith(TEMP_ID_PREFIX);
+
+const sameId = (a, b) => String(a) === String(b);
+
+const createTempId = () =>
+  `${TEMP_ID_PREFIX}${globalThis.crypto?.randomUUID?.() ?? Date.now().toString(36)}`;
+
+let items = [];
+let lastId = 0;
+let replaying = false;
+const listeners = new Set();
+
+const emit = () => {
+  items = [...items];
+  listeners.forEach((listener) => listener());
+};
+
+// Si IndexedDB falla la bandeja sigue funcionando en memoria esta sesión
+const persist = (operation) =>
+  operation().catch((error) => console.warn('No se pudo guardar la bandeja de salida:', error));
+
+// Ids crecientes: el orden de la bandeja es el orden de reenvío
+const nextId = () => {
+  lastId = Math.max(Date.now(), lastId + 1);
+  return lastId;
+};
+
+const findPending = (parkId, type) =>
+  items.find((item) => sameId(item.parkId, parkId) && (!type || item.type === type));
+
+const putItem = async (item) => {
+  items = items.some((existing) => existing.id === item.id)
+    ? items.map((existing) => (existing.id === item.id ? item : existing))
+    : [...items, item];
+  emit();
+  await persist(() => offlineStore.outbox.put(item));
+};
+
+const removeItem = async (id) => {
+  items = items.filter((item) => item.id !== id);
+  emit();
+  await persist(() => offlineStore.outbox.delete(id));
+};
+
+const describeConflict = (error, item) => {
+  if (error instanceof ParkNotFoundError) {
+    return 'El parque ya no existe en el servidor';
+  }
+  if (error instanceof ParkConflictError) {
+    return item.type === 'create'
+      ? 'Ya existe un parque con esa abreviación'
+      : 'Otro parque ya usa esa abreviación';
+  }
+  return error.message || 'El servidor rechazó los datos';
+};
+
+const isConflict = (error, item) =>
+  error instanceof ParkConflictError ||
+  error instanceof ParkValidationError ||
+  (error instanceof ParkNotFoundError && item.type === 'update');
+
+const sendItem = (item) => {
+  switch (item.type) {
+    case 'create':
+      return parksService.create(item.data);
+    case 'update':
+      return parksService.update(item.parkId, item.data);
+    case 'delete':
+      return parksService.remove(item.parkId);
+    default:
+      throw new Error(`Tipo de mutación desconocido: ${item.type}`);
+  }
+};
+
+export const outbox = {
+  /** Arreglo inmutable de pendientes; cambia de identidad en cada cambio */
+  getItems: () => items,
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  hasPending: (parkId) => Boolean(findPending(parkId)),
+
+  async load() {
+    const stored = await offlineStore.outbox.all();
+    items = stored.sort((a, b) => a.id - b.id);
+    lastId = items.reduce((max, item) => Math.max(max, item.id), lastId);
+    emit();
+  },
+
+  /** Devuelve el id temporal del parque creado */
+  async enqueueCreate(data) {
+    const parkId = createTempId();
+    await putItem({ id: nextId(), type: 'create', parkId, data, conflict: null, createdAt: Date.now() });
+    return parkId;
+  },
+
+  async enqueueUpdate(parkId, data) {
+    // Editar un parque que aún no existe en el servidor: se ajusta su creación
+    const pending = findPending(parkId, 'create') || findPending(parkId, 'update');
+    if (pending) {
+      await putItem({ ...pending, data: { ...pending.data, ...data }, conflict: null });
+      return;
+    }
+    await putItem({ id: nextId(), type: 'update', parkId, data, conflict: null, createdAt: Date.now() });
+  },
+
+  /** `park` se guarda para poder mostrar el nombre mientras está pendiente */
+  async enqueueDelete(parkId, park = null) {
+    const pendingCreate = findPending(parkId, 'create');
+    if (pendingCreate) {
+      await removeItem(pendingCreate.id);
+      return;
+    }
+
+    const pendingUpdate = findPending(parkId, 'update');
+    if (pendingUpdate) await removeItem(pendingUpdate.id);
+
+    await putItem({ id: nextId(), type: 'delete', parkId, data: null, park, conflict: null, createdAt: Date.now() });
+  },
+
+  /** Quitar una mutación de la bandeja sin enviarla (p. ej. tras un conflicto) */
+  discard: (id) => removeItem(id),
+
+  /**
+   * Reenvía la bandeja en orden. Se detiene ante errores de red o del
+   * servidor (se reintentará después) y salta los conflictos.
+   */
+  async replay() {
+    if (replaying || !navigator.onLine) return null;
+    replaying = true;
+
+    const result = { synced: [], conflicts: [] };
+    try {
+      for (const { id } of items) {
+        const item = items.find((candidate) => candidate.id === id);
+        if (!item || item.conflict) continue;
+
+        try {
+          await sendItem(item);
+          await removeItem(item.id);
+          result.synced.push(item);
+        } catch (error) {
+          // Eliminar algo que ya no existe cumple el objetivo
+          if (error instanceof ParkNotFoundError && item.type === 'delete') {
+            await removeItem(item.id);
+            result.synced.push(item);
+            continue;
+          }
+
+          if (isConflict(error, item)) {
+            const conflicted = {
+              ...item,
+              conflict: { status: error.status, message: describeConflict(error, item), errors: error.errors || null }
+            };
+            await putItem(conflicted);
+            result.conflicts.push(conflicted);
+            continue;
+          }
+
+          console.warn('Reenvío de la bandeja interrumpido:', error);
+          break;
+        }
+      }
+    } finally {
+      replaying = false;
+    }
+
+    return result;
+  }
+};
+
+/**
+ * Superpone las mutaciones pendientes a la lista del servidor para que
+ * la vista refleje lo hecho sin conexión. Cada parque afectado lleva
+ * `pending: { type, conflict }`.
+ */
+export const applyOutbox = (parks = [], pendingItems = items) => {
+  if (pendingItems.length === 0) return parks;
+
+  let result = [...parks];
+  pendingItems.forEach((item) => {
+    const pending = { type: item.type, conflict: item.conflict?.message ?? null };
+
+    if (item.type === 'create') {
+      result.push({ park_img_uri: null, ...item.data, id: item.parkId, pending });
+      return;
+    }
+
+    result = result.map((park) => {
+      if (!sameId(park.id, item.parkId)) return park;
+      return item.type === 'update' ? { ...park, ...item.data, pending } : { ...park, pending };
+    });
+  });
+
+  return result;
+};
+
+/** Igual que applyOutbox para un único parque (o undefined) */
+export const applyOutboxToPark = (id, park, pendingItems = items) => {
+  const related = pendingItems.filter((item) => sameId(item.parkId, id));
+  if (related.length === 0) return park;
+  return applyOutbox(park ? [park] : [], related).find((item) => sameId(item.id, id));
+};
+
+/**
+ * Antes del primer render: carga la bandeja y la última lista sincronizada
+ * para poder navegar sin conexión
+ */
+export const hydrateOfflineData = async () => {
+  try {
+    await outbox.load();
+    const snapshot = await offlineStore.snapshots.get(parksKeys.list);
+    // Las copias con otra forma (versiones anteriores sin paginación) se ignoran
+    if (Array.isArray(snapshot?.data?.parks) && !queryCache.get(parksKeys.list)) {
+      queryCache.set(parksKeys.list, snapshot.data, { updatedAt: snapshot.savedAt });
+      // La copia puede ser vieja: que se revalide en cuanto haya red
+      queryCache.invalidate(parksKeys.list);
+    }
+  } catch (error) {
+    console.warn('Datos sin conexión no disponibles:', error);
+  }
+};
@@ -0,0 +1,38 @@
+// api/parkMutations.js
+// Crear, editar y eliminar parques con soporte sin conexión: si no hay red
+// (o el parque ya tiene cambios en la bandeja, para respetar el orden) la
+// mutación se guarda en la bandeja de salida en lugar de enviarse.
+// Devuelven `{ park, queued }`.
+import parksService from './parksService';
+import { isTempId, outbox } from './outbox';
+
+const mustQueue = (parkId) =>
+  !navigator.onLine || (parkId !== undefined && (isTempId(parkId) || outbox.hasPending(parkId)));
+
+export const createPark = async (data, config = {}) => {
+  if (mustQueue()) {
+    const id = await outbox.enqueueCreate(data);
+    return { park: { ...data, id }, queued: true };
+  }
+  return { park: await parksService.create(data, config), queued: false };
+};
+
+export const updatePark = async (id, data, config = {}) => {
+  if (mustQueue(id)) {
+    await outbox.enqueueUpdate(id, data);
+    outbox.replay();
+    return { park: { ...data, id }, queued: true };
+  }
+  return { park: await parksService.update(id, data, config), queued: false };
+};
+
+/** `park` se guarda en la bandeja para mostrarlo mientras está pendiente */
+export const deletePark = async (id, park = null, config = {}) => {
+  if (mustQueue(id)) {
+    await outbox.enqueueDelete(id, park);
+    outbox.replay();
+    return { park, queued: true };
+  }
+  await parksService.remove(id, config);
+  return { park, queued: false };
+};
@@ -0,0 +1,289 @@
+// api/parksService.js
+// Capa de servicio para el recurso /parks. Es el único lugar que conoce
+// la forma de las respuestas de Laravel; las páginas y hooks reciben
+// parques ya normalizados y errores tipados (ver ./errors.js).
+import api from './axios';
+import { ParkNotFoundError, ParkServiceError, toParkServiceError } from './errors';
+import offlineStore from './offlineStore';
+import queryCache from './queryCache';
+import { coercePark, coerceParkField } from '../validation/parkSchema';
+
+const RESOURCE = '/parks';
+
+// Tamaño de página sugerido; el servidor puede ajustarlo (ver meta.per_page)
+export const PER_PAGE = 12;
+
+// Claves de caché (ver ./queryCache.js) de cada endpoint
+export const parksKeys = {
+  list: RESOURCE,
+  detail: (id) => `${RESOURCE}/${id}`
+};
+
+const sameId = (a, b) => String(a) === String(b);
+
+const toInteger = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+};
+
+/**
+ * Laravel responde `{ data: ... }` con API Resources y el valor directo
+ * sin ellos; aceptamos ambas formas
+ */
+const unwrap = (body) => {
+  if (body && typeof body === 'object' && !Array.isArray(body) && 'data' in body) {
+    return body.data;
+  }
+  return body;
+};
+
+/**
+ * Normaliza un parque recibido del servidor: código postal como entero y
+ * coordenadas como decimales (Laravel puede enviarlos como string)
+ */
+export const normalizePark = (raw) => {
+  if (!raw || typeof raw !== 'object') return null;
+
+  return {
+    ...raw,
+    park_zip_code: coerceParkField('park_zip_code', raw.park_zip_code),
+    park_latitude: coerceParkField('park_latitude', raw.park_latitude),
+    park_longitude: coerceParkField('park_longitude', raw.park_longitude)
+  };
+};
+
+/**
+ * Página de la lista. Con el sobre de paginación de Laravel (`meta` y
+ * `links`) los totales vienen del servidor; si la API responde un arreglo
+ * simple se trata como una única página con todos los parques.
+ */
+const normalizePage = (body) => {
+  const data = unwrap(body);
+  const parks = (Array.isArray(data) ? data : []).map(normalizePark).filter(Boolean);
+  const meta = body?.meta;
+  const links = body?.links;
+
+  if (!meta && !links) {
+    return { parks, currentPage: 1, lastPage: 1, perPage: parks.length, total: parks.length, hasMore: false };
+  }
+
+  const currentPage = toInteger(meta?.current_page) ?? 1;
+  const lastPage = toInteger(meta?.last_page);
+  return {
+    parks,
+    currentPage,
+    lastPage,
+    perPage: toInteger(meta?.per_page) ?? parks.length,
+    // Paginación simple de Laravel: sin total ni última página
+    total: toInteger(meta?.total),
+    hasMore: lastPage !== null ? currentPage < lastPage : Boolean(links?.next)
+  };
+};
+
+/**
+ * Agrega una página a la lista acumulada (ver parksService.list). Ignora
+ * páginas fuera de orden y parques repetidos (la lista pudo cambiar en el
+ * servidor entre una página y otra).
+ */
+export const appendParksPage = (list, page) => {
+  if (!list) return page;
+  if (page.currentPage !== list.currentPage + 1) return list;
+
+  const loaded = new Set(list.parks.map((park) => String(park.id)));
+  return {
+    ...page,
+    parks: [...list.parks, ...page.parks.filter((park) => !loaded.has(String(park.id)))]
+  };
+};
+
+/**
+ * Construye el payload que espera la API a partir de los datos del
+ * formulario (o de una importación), con los tipos del esquema
+ */
+export const serializePark = (formData) => coercePark(formData);
+
+// Imagen como archivo (ver components/ImageUpload.jsx): el cuerpo va como
+// multipart y el backend la guarda en park_img_uri
+const hasImageFile = (data) => typeof Blob !== 'undefined' && data?.park_img instanceof Blob;
+
+/**
+ * FormData con los campos del parque y el archivo. PHP solo procesa
+ * archivos en POST, así que la edición usa POST con `_method=PUT`
+ * (method spoofing de Laravel).
+ */
+const toMultipart = (data, method = null) => {
+  const form = new FormData();
+  Object.entries(data).forEach(([field, value]) => {
+    if (field === 'park_img') {
+      form.append(field, value, value.name || 'park-image.jpg');
+    } else if (value !== null && value !== undefined) {
+      form.append(field, String(value));
+    }
+  });
+  if (method) form.append('_method', method);
+  return form;
+};
+
+// El navegador agrega el boundary al quitar el Content-Type JSON por defecto
+const multipartConfig = (config) => ({
+  ...config,
+  headers: { ...config.headers, 'Content-Type': 'multipart/form-data' }
+});
+
+const send = async (request) => {
+  try {
+    return await request();
+  } catch (error) {
+    throw toParkServiceError(error);
+  }
+};
+
+/**
+ * Refleja en la caché el resultado de cada mutación para que la lista y
+ * el detalle no tengan que volver a pedirse
+ */
+const syncCache = {
+  created(park) {
+    if (!park?.id) {
+      queryCache.invalidate(parksKeys.list);
+      return;
+    }
+    queryCache.set(parksKeys.detail(park.id), park);
+    // Los nuevos van al final: solo se muestran si ya se cargó la última página
+    queryCache.update(parksKeys.list, (list) => ({
+      ...list,
+      parks: list.hasMore ? list.parks : [...list.parks, park],
+      total: list.total !== null ? list.total + 1 : null
+    }));
+  },
+
+  updated(id, park) {
+    if (!park?.id) {
+      queryCache.invalidate(parksKeys.detail(id));
+      queryCache.invalidate(parksKeys.list);
+      return;
+    }
+    queryCache.set(parksKeys.detail(id), park);
+    queryCache.update(parksKeys.list, (list) => ({
+      ...list,
+      parks: list.parks.map((item) => (sameId(item.id, id) ? park : item))
+    }));
+  },
+
+  removed(id) {
+    queryCache.remove(parksKeys.detail(id));
+    queryCache.update(parksKeys.list, (list) => {
+      const parks = list.parks.filter((item) => !sameId(item.id, id));
+      if (parks.length === list.parks.length) return list;
+      return { ...list, parks, total: list.total !== null ? list.total - 1 : null };
+    });
+  }
+};
+
+export const parksService = {
+  /** GET /parks?page=N - una página: `{ parks, currentPage, lastPage, perPage, total, hasMore }` */
+  async listPage(page = 1, config = {}) {
+    const params = { ...config.params, page, per_page: PER_PAGE };
+    const response = await send(() => api.get(RESOURCE, { ...config, params }));
+    return normalizePage(response.data);
+  },
+
+  /**
+   * Lista acumulada de las primeras `pages` páginas (misma forma que
+   * listPage). Al revalidar se vuelven a pedir todas las ya cargadas.
+   */
+  async list(config = {}, { pages = 1 } = {}) {
+    let list = await parksService.listPage(1, config);
+    while (list.hasMore && list.currentPage < pages) {
+      const next = appendParksPage(list, await parksService.listPage(list.currentPage + 1, config));
+      if (next === list) break; // El servidor ignoró `page`
+      list = next;
+    }
+
+    // Última copia sincronizada para navegar sin conexión
+    offlineStore.snapshots.set(parksKeys.list, list).catch(() => {});
+    return list;
+  },
+
+  /**
+   * GET /parks?park_abbreviation=X - parques que ya usan la abreviación.
+   * Si la API ignora el filtro (devuelve otros parques) se recorren todas
+   * las páginas; si tampoco respeta `page`, no hay forma de confirmarlo y
+   * se lanza ParkServiceError en vez de dar la abreviación por libre.
+   */
+  async findByAbbreviation(abbreviation, config = {}) {
+    const wanted = String(abbreviation).trim().toUpperCase();
+    const matches = (park) => String(park.park_abbreviation).toUpperCase() === wanted;
+    const fetchPage = async (page) => {
+      const params = { ...config.params, park_abbreviation: wanted, page, per_page: PER_PAGE };
+      const response = await send(() => api.get(RESOURCE, { ...config, params }));
+      return normalizePage(response.data);
+    };
+
+    let page = await fetchPage(1);
+    const found = page.parks.filter(matches);
+    if (page.parks.every(matches)) return found;
+
+    while (page.hasMore) {
+      const next = await fetchPage(page.currentPage + 1);
+      if (next.currentPage <= page.currentPage) {
+        throw new ParkServiceError('No se pudo verificar la abreviación', { data: next });
+      }
+      found.push(...next.parks.filter(matches));
+      page = next;
+    }
+    return found;
+  },
+
+  /** GET /parks/{id} */
+  async get(id, config = {}) {
+    let response;
+    try {
+      response = await send(() => api.get(`${RESOURCE}/${id}`, config));
+    } catch (error) {
+      // Ya no existe: sacarlo también de la lista en caché
+      if (error instanceof ParkNotFoundError) syncCache.removed(id);
+      throw error;
+    }
+    const park = normalizePark(unwrap(response.data));
+
+    if (!park?.park_name) {
+      throw new ParkServiceError('Datos del parque incompletos', { status: response.status, data: response.data });
+    }
+    return park;
+  },
+
+  /**
+   * POST /parks - `data` ya debe venir serializado (ver serializePark);
+   * con `park_img` (File/Blob) se envía como multipart
+   */
+  async create(data, config = {}) {
+    const response = await send(() => (hasImageFile(data)
+      ? api.post(RESOURCE, toMultipart(data), multipartConfig(config))
+      : api.post(RESOURCE, data, config)));
+    const park = normalizePark(unwrap(response.data));
+    syncCache.created(park);
+    return park;
+  },
+
+  /** PUT /parks/{id} - con `park_img`, POST multipart con `_method=PUT` */
+  async update(id, data, config = {}) {
+    const response = await send(() => (hasImageFile(data)
+      // Sigue siendo un PUT: se puede reintentar como tal (ver ./retry.js)
+      ? api.post(`${RESOURCE}/${id}`, toMultipart(data, 'PUT'), { retry: true, ...multipartConfig(config) })
+      : api.put(`${RESOURCE}/${id}`, data, config)));
+    const park = normalizePark(unwrap(response.data));
+    syncCache.updated(id, park);
+    return park;
+  },
+
+  /** DELETE /parks/{id} - responde 204 sin contenido */
+  async remove(id, config = {}) {
+    await send(() => api.delete(`${RESOURCE}/${id}`, config));
+    syncCache.removed(id);
+    return true;
+  }
+};
+
+export default parksService;
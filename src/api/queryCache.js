@@ -0,0 +1,138 @@
+// api/queryCache.js
+// Caché en memoria de respuestas, indexada por endpoint ('/parks',
+// '/parks/3'...). Las vistas muestran lo que haya en caché al instante y
+// useQuery revalida en segundo plano (stale-while-revalidate).
+//
+// También coordina las peticiones en curso: llamadas idénticas se unen a
+// la misma petición y esta se cancela cuando ya nadie espera su resultado.
+
+const entries = new Map();   // key -> { data, updatedAt, stale }
+const listeners = new Map(); // key -> Set<() => void>
+const inflight = new Map();  // key -> { promise, controller, consumers }
+const versions = new Map();  // key -> valor de `clock` en la última escritura
+
+// Reloj lógico: cada escritura lo avanza. Una respuesta que llega después
+// de una escritura más nueva (mutación, invalidación) se descarta.
+let clock = 0;
+
+const notify = (key) => {
+  listeners.get(key)?.forEach((listener) => listener());
+};
+
+const touch = (key) => {
+  clock += 1;
+  versions.set(key, clock);
+};
+
+const write = (key, entry) => {
+  touch(key);
+  entries.set(key, entry);
+  notify(key);
+};
+
+export const queryCache = {
+  /** Entrada completa o undefined; la identidad cambia en cada escritura */
+  get(key) {
+    return entries.get(key);
+  },
+
+  set(key, data, { updatedAt = Date.now() } = {}) {
+    write(key, { data, updatedAt, stale: false });
+  },
+
+  /** Aplica `updater` solo si la entrada existe */
+  update(key, updater) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    write(key, { ...entry, data: updater(entry.data) });
+  },
+
+  /** Marca la entrada como obsoleta; los suscriptores la vuelven a pedir */
+  invalidate(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    write(key, { ...entry, stale: true });
+  },
+
+  remove(key) {
+    // También cuenta como escritura: un GET tardío no debe resucitarla
+    touch(key);
+    if (!entries.delete(key)) return;
+    notify(key);
+  },
+
+  isFetching(key) {
+    return inflight.has(key);
+  },
+
+  /**
+   * Ejecuta `fetcher({ signal })` o se une a la petición en curso para
+   * `key`. Cada llamador debe invocar `release()` al dejar de esperar
+   * (desmontar, cambiar de ruta); cuando no queda ninguno se aborta.
+   */
+  fetch(key, fetcher) {
+    let request = inflight.get(key);
+
+    if (!request || request.controller.signal.aborted) {
+      const controller = new AbortController();
+      const startedAt = clock;
+      request = { controller, consumers: 0 };
+
+      const settle = () => {
+        if (inflight.get(key) === request) {
+          inflight.delete(key);
+          notify(key);
+        }
+      };
+
+      request.promise = fetcher({ signal: controller.signal }).then(
+        (data) => {
+          settle();
+          // Llegó tarde: algo más nuevo ya se escribió mientras tanto
+          if ((versions.get(key) ?? 0) > startedAt) return entries.get(key)?.data ?? data;
+          queryCache.set(key, data);
+          return data;
+        },
+        (error) => {
+          settle();
+          throw error;
+        }
+      );
+
+      inflight.set(key, request);
+      notify(key);
+    }
+
+    request.consumers += 1;
+    let released = false;
+
+    const release = () => {
+      if (released) return;
+      released = true;
+      request.consumers -= 1;
+
+      // Se espera un tick: StrictMode desmonta y vuelve a montar de
+      // inmediato, y el nuevo montaje se une a la misma petición
+      setTimeout(() => {
+        if (request.consumers === 0 && inflight.get(key) === request) {
+          request.controller.abort();
+        }
+      }, 0);
+    };
+
+    return { promise: request.promise, release };
+  },
+
+  subscribe(key, listener) {
+    if (!listeners.has(key)) listeners.set(key, new Set());
+    listeners.get(key).add(listener);
+
+    return () => {
+      const keyListeners = listeners.get(key);
+      keyListeners?.delete(listener);
+      if (keyListeners?.size === 0) listeners.delete(key);
+    };
+  }
+};
+
+export default queryCache;
@@ -0,0 +1,116 @@
+// api/retry.js
+// Política de reintentos para la instancia compartida de axios.
+// Solo se reintentan métodos idempotentes (GET, PUT, DELETE...) ante
+// errores de red, tiempos agotados, 429 y 5xx. POST necesita opt-in.
+//
+// Configuración por petición:
+//   api.get('/parks', { retry: false })                 // sin reintentos
+//   api.put(url, data, { retry: { retries: 5 } })       // ajustar la política
+//   api.post('/parks', data, { retry: true })           // opt-in para POST
+import axios from 'axios';
+
+export const DEFAULT_RETRY_POLICY = {
+  retries: 3,
+  baseDelay: 500,
+  maxDelay: 8000,
+  // Un Retry-After mayor a esto no se espera: se devuelve el error
+  maxRetryAfter: 30000,
+  methods: ['get', 'head', 'options', 'put', 'delete']
+};
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+/**
+ * Combina la política por defecto con la opción `retry` de la petición.
+ * Devuelve null si la petición no debe reintentarse.
+ */
+const resolvePolicy = (config, defaults) => {
+  const option = config.retry;
+  if (option === false || option === 0) return null;
+
+  const policy = { ...defaults };
+  if (typeof option === 'number') policy.retries = option;
+  if (option && typeof option === 'object') Object.assign(policy, option);
+
+  // Cualquier opción explícita cuenta como opt-in para métodos no idempotentes
+  const method = (config.method || 'get').toLowerCase();
+  if (!policy.methods.includes(method) && option === undefined) return null;
+
+  return policy;
+};
+
+const isRetryableError = (error) => {
+  if (axios.isCancel(error)) return false;
+  // Sin conexión no tiene caso esperar; la bandeja de salida se encarga
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return false;
+  if (!error.response) return true; // Red caída o tiempo agotado
+  const { status } = error.response;
+  return status === 429 || status >= 500;
+};
+
+/**
+ * Retry-After puede venir en segundos o como fecha HTTP
+ */
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Backoff exponencial con jitter: entre la mitad y el total de
+ * baseDelay * 2^intento, sin pasar de maxDelay
+ */
+export const computeRetryDelay = (attempt, policy, response) => {
+  const retryAfter = parseRetryAfter(response?.headers?.['retry-after']);
+  if (retryAfter !== null) return retryAfter;
+
+  const ceiling = Math.min(policy.maxDelay, policy.baseDelay * 2 ** attempt);
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+};
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new axios.CanceledError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new axios.CanceledError());
+    };
+    // Al terminar la espera se quita el listener: la misma señal puede
+    // durar muchos reintentos
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+/**
+ * Registra el interceptor de reintentos en una instancia de axios
+ */
+export const attachRetryPolicy = (instance, defaults = DEFAULT_RETRY_POLICY) => {
+  instance.interceptors.response.use(undefined, async (error) => {
+    const config = error.config;
+    if (!config) throw error;
+
+    const policy = resolvePolicy(config, defaults);
+    if (!policy || !isRetryableError(error)) throw error;
+
+    const attempt = config.retryAttempt || 0;
+    if (attempt >= policy.retries) throw error;
+
+    const delay = computeRetryDelay(attempt, policy, error.response);
+    if (delay > policy.maxRetryAfter) throw error;
+
+    const reason = error.response?.status ?? (TIMEOUT_CODES.includes(error.code) ? 'timeout' : 'red');
+    console.warn(`Reintentando ${config.method?.toUpperCase()} ${config.url} (${attempt + 1}/${policy.retries}, ${reason}) en ${Math.round(delay)}ms`);
+
+    await wait(delay, config.signal);
+    config.retryAttempt = attempt + 1;
+    return instance.request(config);
+  });
+
+  return instance;
+};
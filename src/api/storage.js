@@ -0,0 +1,9 @@
+// api/storage.js
+// Archivos que guarda el backend (imágenes subidas de los parques). Laravel
+// los publica en /storage del mismo host; con el mock de la API se sirven
+// desde http://localhost:8000/storage (ver VITE_STORAGE_URL en el README).
+
+export const STORAGE_URL = (import.meta.env.VITE_STORAGE_URL || 'https://azuritaa33.sg-host.com/storage').replace(/\/+$/, '');
+
+/** URL pública de un archivo guardado (p. ej. park_img_uri) o null */
+export const getStorageUrl = (path) => (path ? `${STORAGE_URL}/${String(path).replace(/^\/+/, '')}` : null);
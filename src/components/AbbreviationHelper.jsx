@@ -0,0 +1,48 @@
+import { CheckCircle, Loader2, WifiOff } from "lucide-react";
+
+/**
+ * Debajo de la abreviación: resultado de la revisión de unicidad (ver
+ * useAbbreviationCheck) y sugerencias libres para usar con un clic.
+ * El error "ya la usa..." lo muestra el propio campo.
+ */
+export default function AbbreviationHelper({ check, value, onPick }) {
+  const showSuggestions = check.suggestions.length > 0 && (!value.trim() || check.status === 'taken');
+
+  if (!showSuggestions && (check.status === 'idle' || check.status === 'taken')) return null;
+
+  return (
+    <div className="-mt-2 space-y-2 text-sm">
+      {check.status === 'checking' && (
+        <p className="flex items-center text-gray-500">
+          <Loader2 className="w-4 h-4 mr-1 animate-spin" /> Verificando disponibilidad...
+        </p>
+      )}
+      {check.status === 'available' && (
+        <p className="flex items-center text-emerald-700">
+          <CheckCircle className="w-4 h-4 mr-1" /> Disponible
+        </p>
+      )}
+      {check.status === 'error' && (
+        <p className="flex items-center text-gray-500">
+          <WifiOff className="w-4 h-4 mr-1" /> No se pudo verificar; el servidor la revisará al guardar
+        </p>
+      )}
+
+      {showSuggestions && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-gray-500">Sugerencias:</span>
+          {check.suggestions.map((suggestion) => (
+            <button
+              key={suggestion}
+              type="button"
+              onClick={() => onPick(suggestion)}
+              className="px-2 py-1 text-xs font-mono bg-white border border-gray-200 rounded-full text-gray-700 hover:border-emerald-400 hover:text-emerald-700 transition-colors"
+            >
+              {suggestion}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+import { useState } from "react";
+import { ClipboardPaste, Check, X } from "lucide-react";
+import { COORDINATE_FORMATS, parseCoordinates } from "../geo/parseCoordinates";
+
+/**
+ * Campo para pegar coordenadas en cualquier formato (decimal, grados
+ * minutos segundos, enlaces de Google Maps u OpenStreetMap, geo:). Muestra
+ * lo que se entendió y solo llena latitud y longitud al confirmar.
+ * `onApply` recibe `{ latitude, longitude }`.
+ */
+export default function CoordinatePaste({ onApply }) {
+  const [text, setText] = useState('');
+  const parsed = parseCoordinates(text);
+
+  const apply = () => {
+    onApply({ latitude: parsed.latitude, longitude: parsed.longitude });
+    setText('');
+  };
+
+  const handleKeyDown = (e) => {
+    // Enter confirma aquí en vez de enviar el formulario
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (parsed) apply();
+    }
+    if (e.key === 'Escape') setText('');
+  };
+
+  return (
+    <div>
+      <label htmlFor="coordinate-paste" className="block text-sm font-semibold text-gray-700 mb-2">
+        Pegar coordenadas o enlace
+      </label>
+      <div className="relative">
+        <ClipboardPaste className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+        <input
+          id="coordinate-paste"
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={handleKeyDown}
+          autoComplete="off"
+          placeholder={`20°40'34"N 103°20'50"W, enlace de Google Maps, geo:…`}
+          className="w-full pl-10 pr-4 py-3 border-2 border-gray-200 rounded-xl transition-all duration-300 focus:ring-4 focus:ring-emerald-200 focus:border-emerald-500"
+        />
+      </div>
+
+      {text.trim() && !parsed && (
+        <p className="text-amber-700 text-sm mt-1">No se reconocen coordenadas en el texto</p>
+      )}
+
+      {parsed && (
+        <div className="mt-2 flex items-center justify-between gap-2 bg-emerald-50 border border-emerald-200 rounded-lg px-3 py-2 text-sm">
+          <div>
+            <p className="font-mono text-gray-800">
+              {parsed.latitude.toFixed(6)}°, {parsed.longitude.toFixed(6)}°
+            </p>
+            <p className="text-gray-500 text-xs">{COORDINATE_FORMATS[parsed.format]}</p>
+          </div>
+          <div className="flex items-center gap-1">
+            <button
+              type="button"
+              onClick={apply}
+              className="flex items-center px-3 py-1 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition-colors"
+            >
+              <Check className="w-4 h-4 mr-1" />
+              Usar
+            </button>
+            <button
+              type="button"
+              onClick={() => setText('')}
+              title="Descartar"
+              className="p-1 text-gray-500 hover:text-gray-700"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
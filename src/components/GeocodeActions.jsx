@@ -0,0 +1,146 @@
+import { useState } from "react";
+import { Search, MapPinned } from "lucide-react";
+import Swal from "sweetalert2";
+import { isCanceledError } from "../api/errors";
+import { findMunicipality, findState } from "../data/regions";
+import { geocodeAddress, reverseGeocode } from "../geo/geocoding";
+import { escapeHtml } from "../utils/text";
+import { getFieldLabel } from "../validation/messages";
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Campos del formulario que se pueden llenar con un lugar: solo los que el
+ * proveedor trae y que el catálogo reconoce
+ */
+const placeToFields = (place) => {
+  const fields = {};
+  const state = findState(place.state);
+  const city = state && findMunicipality(state.name, place.city);
+
+  if (place.street) fields.park_address = place.colonia ? `${place.street}, Col. ${place.colonia}` : place.street;
+  if (state) fields.park_state = state.name;
+  if (city) fields.park_city = city.name;
+  if (/^\d{5}$/.test(place.zip)) fields.park_zip_code = place.zip;
+  return fields;
+};
+
+/**
+ * Botones para buscar las coordenadas de la dirección escrita y para
+ * sugerir dirección, ciudad y código postal a partir de las coordenadas.
+ * Todo se confirma antes de tocar el formulario.
+ */
+export default function GeocodeActions({ formData, onCoordinates, onPlace }) {
+  const [pending, setPending] = useState(null); // 'search' | 'reverse' | null
+
+  const latitude = toNumber(formData.park_latitude);
+  const longitude = toNumber(formData.park_longitude);
+  const hasCoordinates = latitude !== null && longitude !== null;
+
+  const showError = (error) => {
+    if (isCanceledError(error)) return;
+    Swal.fire({ icon: 'error', title: 'Servicio de mapas', text: error.message, confirmButtonColor: '#10b981' });
+  };
+
+  const searchAddress = async () => {
+    const query = [formData.park_address, formData.park_zip_code, formData.park_city, formData.park_state]
+      .map((part) => String(part).trim())
+      .filter(Boolean)
+      .join(', ');
+
+    setPending('search');
+    try {
+      const places = await geocodeAddress(query);
+      if (places.length === 0) {
+        await Swal.fire({ icon: 'info', title: 'Sin resultados', text: 'No se encontró la dirección; revisa el texto o elige el punto en el mapa', confirmButtonColor: '#10b981' });
+        return;
+      }
+
+      const { isConfirmed, value } = await Swal.fire({
+        icon: 'question',
+        title: places.length === 1 ? '¿Usar esta ubicación?' : 'Elige la ubicación',
+        input: 'radio',
+        inputOptions: Object.fromEntries(places.map((place, index) => [index, escapeHtml(place.label)])),
+        inputValue: '0',
+        customClass: { input: 'text-left' },
+        showCancelButton: true,
+        confirmButtonText: 'Usar coordenadas',
+        cancelButtonText: 'Cancelar',
+        confirmButtonColor: '#10b981'
+      });
+
+      if (isConfirmed) {
+        const place = places[Number(value)];
+        onCoordinates({ latitude: place.latitude, longitude: place.longitude });
+      }
+    } catch (error) {
+      showError(error);
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const suggestAddress = async () => {
+    setPending('reverse');
+    try {
+      const place = await reverseGeocode({ latitude, longitude });
+      const fields = place ? placeToFields(place) : {};
+
+      if (Object.keys(fields).length === 0) {
+        await Swal.fire({ icon: 'info', title: 'Sin sugerencias', text: 'No hay una dirección conocida para estas coordenadas', confirmButtonColor: '#10b981' });
+        return;
+      }
+
+      const { isConfirmed } = await Swal.fire({
+        icon: 'question',
+        title: 'Dirección sugerida',
+        html: `
+          <div class="text-left text-sm">
+            <p class="mb-2 text-gray-500">${escapeHtml(place.label)}</p>
+            <ul class="space-y-1">
+              ${Object.entries(fields).map(([name, value]) => `<li><strong>${getFieldLabel(name)}:</strong> ${escapeHtml(value)}</li>`).join('')}
+            </ul>
+          </div>
+        `,
+        showCancelButton: true,
+        confirmButtonText: 'Usar sugerencia',
+        cancelButtonText: 'Cancelar',
+        confirmButtonColor: '#10b981'
+      });
+
+      if (isConfirmed) onPlace(fields);
+    } catch (error) {
+      showError(error);
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const buttonClass = 'flex items-center px-3 py-2 text-sm border-2 border-gray-200 rounded-lg text-gray-700 hover:border-emerald-400 hover:text-emerald-700 transition-colors disabled:opacity-50 disabled:hover:border-gray-200 disabled:hover:text-gray-700';
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      <button
+        type="button"
+        onClick={searchAddress}
+        disabled={pending !== null || !formData.park_address.trim()}
+        className={buttonClass}
+      >
+        <Search className="w-4 h-4 mr-1" />
+        {pending === 'search' ? 'Buscando...' : 'Buscar dirección en el mapa'}
+      </button>
+      <button
+        type="button"
+        onClick={suggestAddress}
+        disabled={pending !== null || !hasCoordinates}
+        className={buttonClass}
+      >
+        <MapPinned className="w-4 h-4 mr-1" />
+        {pending === 'reverse' ? 'Consultando...' : 'Sugerir dirección'}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,17 @@
+import { splitHighlights } from "../utils/search";
+
+/**
+ * Texto con las partes que coincidieron con la búsqueda resaltadas;
+ * `ranges` viene de searchIndex (utils/search.js)
+ */
+export default function Highlight({ text, ranges }) {
+  if (!ranges?.length) return text ?? null;
+
+  return splitHighlights(text, ranges).map((part, index) =>
+    part.match ? (
+      <mark key={index} className="bg-yellow-200 text-current rounded-sm">{part.text}</mark>
+    ) : (
+      part.text
+    )
+  );
+}
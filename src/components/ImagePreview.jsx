@@ -0,0 +1,42 @@
+import { AlertTriangle, ImageOff, Loader2 } from "lucide-react";
+import { formatValidationError } from "../validation/messages";
+
+/**
+ * Vista previa de la URL de imagen con el resultado de useImageCheck:
+ * medidas, avisos de tamaño o proporción, o por qué no cargó
+ */
+export default function ImagePreview({ check }) {
+  if (check.status === 'idle') return null;
+
+  if (check.status === 'checking') {
+    return (
+      <p className="-mt-2 flex items-center text-sm text-gray-500">
+        <Loader2 className="w-4 h-4 mr-1 animate-spin" /> Verificando imagen...
+      </p>
+    );
+  }
+
+  if (check.status === 'error') {
+    return (
+      <div className="-mt-2 flex items-start p-3 text-sm bg-red-50 border border-red-200 rounded-lg text-red-700">
+        <ImageOff className="w-4 h-4 mr-2 mt-0.5 shrink-0" />
+        <div>
+          <p className="font-medium">{check.error}</p>
+          <p className="text-red-600">Revisa el enlace o sube la imagen como archivo; para guardar así habrá que confirmarlo.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="-mt-2 space-y-2">
+      <img src={check.url} alt="Vista previa de la URL" className="w-full h-40 object-cover rounded-lg border border-gray-200" />
+      <p className="text-xs text-gray-500">{check.width} × {check.height} px</p>
+      {check.issues.map((issue) => (
+        <p key={issue.code} className="flex items-start text-sm text-amber-700">
+          <AlertTriangle className="w-4 h-4 mr-1 mt-0.5 shrink-0" /> {formatValidationError(issue)}
+        </p>
+      ))}
+    </div>
+  );
+}
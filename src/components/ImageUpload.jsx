@@ -0,0 +1,129 @@
+import { useEffect, useRef, useState } from "react";
+import { Camera, ImagePlus, Loader2, Upload, X } from "lucide-react";
+import Swal from "sweetalert2";
+import { IMAGE_UPLOAD, formatBytes, resizeImage } from "../utils/image";
+
+/**
+ * Imagen del parque como archivo: arrastrar y soltar, elegir del equipo o
+ * tomar una foto con la cámara. Se reduce y comprime antes de mostrar la
+ * vista previa (ver utils/image.js); `onChange` recibe
+ * `{ file, width, height, originalSize, previewUrl }` o null al quitarla.
+ * `currentUrl` es la imagen ya guardada en el servidor, si hay.
+ */
+export default function ImageUpload({ image, currentUrl, onChange }) {
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
+  const fileInputRef = useRef(null);
+  const cameraInputRef = useRef(null);
+
+  // La vista previa es una URL del archivo en memoria: liberarla al cambiar
+  useEffect(() => {
+    return () => {
+      if (image?.previewUrl) URL.revokeObjectURL(image.previewUrl);
+    };
+  }, [image]);
+
+  const processFile = async (file) => {
+    if (!file) return;
+    setIsProcessing(true);
+    try {
+      const processed = await resizeImage(file);
+      onChange({ ...processed, previewUrl: URL.createObjectURL(processed.file) });
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: 'Imagen no válida', text: error.message, confirmButtonColor: '#10b981' });
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleInput = (e) => {
+    processFile(e.target.files[0]);
+    // Permite volver a elegir el mismo archivo
+    e.target.value = '';
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    processFile(e.dataTransfer.files[0]);
+  };
+
+  const previewUrl = image?.previewUrl || currentUrl;
+
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-semibold text-gray-700">Subir imagen</label>
+
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        className={`relative flex flex-col items-center justify-center p-4 border-2 border-dashed rounded-xl text-sm transition-colors ${
+          isDragging ? 'border-emerald-500 bg-emerald-50' : 'border-gray-200'
+        }`}
+      >
+        {isProcessing ? (
+          <p className="flex items-center py-6 text-gray-500">
+            <Loader2 className="w-4 h-4 mr-2 animate-spin" /> Optimizando imagen...
+          </p>
+        ) : previewUrl ? (
+          <div className="w-full">
+            <img src={previewUrl} alt="Vista previa" className="w-full h-40 object-cover rounded-lg" />
+            <div className="flex items-center justify-between mt-2 text-xs text-gray-500">
+              {image ? (
+                <span>
+                  {image.width} × {image.height} px · {formatBytes(image.originalSize)} → {formatBytes(image.file.size)}
+                </span>
+              ) : (
+                <span>Imagen actual</span>
+              )}
+              {image && (
+                <button
+                  type="button"
+                  onClick={() => onChange(null)}
+                  className="flex items-center text-red-600 hover:text-red-700"
+                >
+                  <X className="w-4 h-4 mr-1" /> Quitar
+                </button>
+              )}
+            </div>
+          </div>
+        ) : (
+          <div className="flex flex-col items-center py-4 text-gray-500">
+            <ImagePlus className="w-8 h-8 mb-2 text-gray-400" />
+            <p>Arrastra una imagen aquí</p>
+            <p className="text-xs">
+              Se reduce a {IMAGE_UPLOAD.maxWidth} px y se comprime antes de subirla
+            </p>
+          </div>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={() => fileInputRef.current.click()}
+          disabled={isProcessing}
+          className="flex items-center px-3 py-2 text-sm border-2 border-gray-200 rounded-lg text-gray-700 hover:border-emerald-400 hover:text-emerald-700 transition-colors disabled:opacity-50"
+        >
+          <Upload className="w-4 h-4 mr-1" /> {previewUrl ? 'Cambiar imagen' : 'Elegir archivo'}
+        </button>
+        <button
+          type="button"
+          onClick={() => cameraInputRef.current.click()}
+          disabled={isProcessing}
+          className="flex items-center px-3 py-2 text-sm border-2 border-gray-200 rounded-lg text-gray-700 hover:border-emerald-400 hover:text-emerald-700 transition-colors disabled:opacity-50"
+        >
+          <Camera className="w-4 h-4 mr-1" /> Tomar foto
+        </button>
+      </div>
+
+      <input ref={fileInputRef} type="file" accept="image/*" onChange={handleInput} className="hidden" />
+      {/* En celulares abre la cámara trasera */}
+      <input ref={cameraInputRef} type="file" accept="image/*" capture="environment" onChange={handleInput} className="hidden" />
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+/**
+ * Campo de los formularios de parque: input o select (con `options`),
+ * mensaje de error y contador de caracteres
+ */
+export default function InputField({ label, name, value, onChange, error, type = "text", inputMode, placeholder, maxLength, required = true, options = null }) {
+  return (
+    <div>
+      <label className="block text-sm font-semibold text-gray-700 mb-2">
+        {label} {required && '*'}
+      </label>
+
+      {options ? (
+        <select
+          name={name}
+          value={value}
+          onChange={onChange}
+          required={required}
+          className={`w-full px-4 py-3 border-2 rounded-xl transition-all duration-300 focus:ring-4 focus:ring-emerald-200 focus:border-emerald-500 ${
+            error ? 'border-red-300 bg-red-50' : 'border-gray-200'
+          }`}
+        >
+          <option value="">Seleccionar {label.toLowerCase()}</option>
+          {options.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      ) : (
+        <input
+          type={type}
+          inputMode={inputMode}
+          name={name}
+          value={value}
+          onChange={onChange}
+          required={required}
+          maxLength={maxLength}
+          step={type === 'number' ? 'any' : undefined}
+          className={`w-full px-4 py-3 border-2 rounded-xl transition-all duration-300 focus:ring-4 focus:ring-emerald-200 focus:border-emerald-500 ${
+            error ? 'border-red-300 bg-red-50' : 'border-gray-200'
+          }`}
+          placeholder={placeholder}
+        />
+      )}
+
+      {error && (
+        <p className="text-red-600 text-sm mt-1 flex items-center">
+          <span className="mr-1">⚠️</span> {error}
+        </p>
+      )}
+
+      {maxLength && (
+        <p className="text-gray-500 text-xs mt-1">{value.length}/{maxLength} caracteres</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import { useEffect, useRef } from "react";
+import { ChevronDown } from "lucide-react";
+
+/**
+ * Pie de una lista paginada: carga la siguiente página al acercarse al
+ * final (scroll infinito) y ofrece un botón como alternativa. Tras un
+ * error el scroll infinito se pausa hasta que el usuario reintente.
+ */
+export default function LoadMore({ loaded, total, hasMore, isLoading, error, onLoadMore }) {
+  const sentinelRef = useRef(null);
+  const paused = Boolean(error);
+
+  useEffect(() => {
+    const node = sentinelRef.current;
+    if (!node || !hasMore || isLoading || paused || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) onLoadMore();
+    }, { rootMargin: '400px' });
+
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [hasMore, isLoading, paused, onLoadMore]);
+
+  return (
+    <div ref={sentinelRef} className="mt-10 flex flex-col items-center space-y-3 text-sm">
+      {total !== null && (
+        <p className="text-gray-500">
+          Mostrando {loaded} de {total} parque{total !== 1 ? 's' : ''}
+        </p>
+      )}
+
+      {error && (
+        <p className="text-red-600">
+          No se pudo cargar la siguiente página: {error.message}
+        </p>
+      )}
+
+      {hasMore && (
+        <button
+          onClick={onLoadMore}
+          disabled={isLoading}
+          className="flex items-center space-x-2 px-6 py-2.5 bg-white border border-green-200 text-green-700 rounded-xl shadow-sm hover:bg-green-50 transition-all duration-300 disabled:opacity-60"
+        >
+          {isLoading ? (
+            <span className="w-4 h-4 rounded-full border-2 border-green-300 border-t-green-600 animate-spin"></span>
+          ) : (
+            <ChevronDown className="w-4 h-4" />
+          )}
+          <span>{isLoading ? 'Cargando...' : error ? 'Reintentar' : 'Cargar más'}</span>
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+import { useEffect, useRef, useState } from "react";
+import L from "leaflet";
+import "leaflet/dist/leaflet.css";
+import markerIcon from "leaflet/dist/images/marker-icon.png";
+import markerIcon2x from "leaflet/dist/images/marker-icon-2x.png";
+import markerShadow from "leaflet/dist/images/marker-shadow.png";
+import { LocateFixed } from "lucide-react";
+import Swal from "sweetalert2";
+import { findState } from "../data/regions";
+import { GEOLOCATION_ERRORS } from "../geo/geolocation";
+import { getTileSource } from "../geo/tileSources";
+
+// Con Vite las imágenes del marcador deben importarse para que existan en el build.
+// Sin _getIconUrl, Leaflet no antepone a esas URL la ruta que detecta en el CSS
+delete L.Icon.Default.prototype._getIconUrl;
+L.Icon.Default.mergeOptions({ iconUrl: markerIcon, iconRetinaUrl: markerIcon2x, shadowUrl: markerShadow });
+
+// Centro inicial sin estado elegido: Guadalajara
+const DEFAULT_CENTER = [20.6597, -103.3496];
+const DEFAULT_ZOOM = 11;
+const PICK_ZOOM = 15;
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Seis decimales (~10 cm), como se muestran en el detalle del parque
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+const toBounds = ({ north, south, east, west }) => L.latLngBounds([south, west], [north, east]);
+
+/**
+ * Mapa para elegir las coordenadas del parque: clic o arrastrar el
+ * marcador las fija, escribirlas mueve el marcador y "Usar mi ubicación"
+ * usa la Geolocation API. Dibuja los límites del estado elegido.
+ * `onChange` recibe `{ latitude, longitude }`.
+ */
+export default function MapPicker({ latitude, longitude, state, onChange }) {
+  const containerRef = useRef(null);
+  const mapRef = useRef(null);
+  const markerRef = useRef(null);
+  const boundsLayerRef = useRef(null);
+  const onChangeRef = useRef(onChange);
+  const [isLocating, setIsLocating] = useState(false);
+
+  useEffect(() => {
+    onChangeRef.current = onChange;
+  }, [onChange]);
+
+  const lat = toNumber(latitude);
+  const lng = toNumber(longitude);
+  const hasPosition = lat !== null && lng !== null && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+  // Crear el mapa una sola vez
+  useEffect(() => {
+    const tiles = getTileSource();
+    const map = L.map(containerRef.current, { center: DEFAULT_CENTER, zoom: DEFAULT_ZOOM });
+    L.tileLayer(tiles.url, { attribution: tiles.attribution, maxZoom: tiles.maxZoom }).addTo(map);
+
+    const pick = ({ lat, lng }) => onChangeRef.current({ latitude: round(lat), longitude: round(lng) });
+    map.on('click', (event) => pick(event.latlng));
+
+    mapRef.current = map;
+    return () => {
+      map.remove();
+      mapRef.current = null;
+      markerRef.current = null;
+      boundsLayerRef.current = null;
+    };
+  }, []);
+
+  // Límites del estado: se dibujan y, sin coordenadas, el mapa se ajusta a ellos
+  const bounds = findState(state)?.bounds;
+  useEffect(() => {
+    const map = mapRef.current;
+    boundsLayerRef.current?.remove();
+    boundsLayerRef.current = null;
+    if (!map || !bounds) return;
+
+    boundsLayerRef.current = L.rectangle(toBounds(bounds), {
+      color: '#10b981',
+      weight: 2,
+      dashArray: '6 6',
+      fill: false,
+      interactive: false
+    }).addTo(map);
+
+    if (!markerRef.current) map.fitBounds(toBounds(bounds));
+  }, [bounds]);
+
+  // Coordenadas escritas a mano: mover (o crear) el marcador
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+
+    if (!hasPosition) {
+      markerRef.current?.remove();
+      markerRef.current = null;
+      return;
+    }
+
+    if (!markerRef.current) {
+      markerRef.current = L.marker([lat, lng], { draggable: true }).addTo(map);
+      markerRef.current.on('dragend', () => {
+        const position = markerRef.current.getLatLng();
+        onChangeRef.current({ latitude: round(position.lat), longitude: round(position.lng) });
+      });
+      map.setView([lat, lng], Math.max(map.getZoom(), PICK_ZOOM));
+      return;
+    }
+
+    markerRef.current.setLatLng([lat, lng]);
+    if (!map.getBounds().contains([lat, lng])) map.panTo([lat, lng]);
+  }, [hasPosition, lat, lng]);
+
+  const locateMe = () => {
+    if (!navigator.geolocation) {
+      Swal.fire({ icon: 'error', title: 'Ubicación no disponible', text: 'Tu navegador no permite obtener la ubicación', confirmButtonColor: '#10b981' });
+      return;
+    }
+
+    setIsLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        setIsLocating(false);
+        onChangeRef.current({ latitude: round(coords.latitude), longitude: round(coords.longitude) });
+        mapRef.current?.setView([coords.latitude, coords.longitude], PICK_ZOOM);
+      },
+      (error) => {
+        setIsLocating(false);
+        Swal.fire({
+          icon: 'warning',
+          title: 'Sin ubicación',
+          text: GEOLOCATION_ERRORS[error.code] || error.message,
+          confirmButtonColor: '#10b981'
+        });
+      },
+      { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+    );
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="relative">
+        <div ref={containerRef} className="h-64 w-full rounded-xl border-2 border-gray-200 z-0" />
+        <button
+          type="button"
+          onClick={locateMe}
+          disabled={isLocating}
+          className="absolute top-3 right-3 z-[1000] flex items-center px-3 py-2 text-sm bg-white text-gray-700 rounded-lg shadow hover:bg-gray-50 transition-colors disabled:opacity-50"
+        >
+          <LocateFixed className={`w-4 h-4 mr-1 ${isLocating ? 'animate-pulse' : ''}`} />
+          {isLocating ? 'Ubicando...' : 'Usar mi ubicación'}
+        </button>
+      </div>
+      <p className="text-gray-500 text-xs">
+        Haz clic en el mapa o arrastra el marcador para fijar las coordenadas
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+import { useCallback, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { CloudOff, RefreshCw, AlertTriangle, X } from "lucide-react";
+import Swal from 'sweetalert2';
+import { outbox } from "../api/outbox";
+import { useOnlineStatus, useOutbox } from "../hooks/useOutbox";
+import { escapeHtml } from "../utils/text";
+
+const ACTION_LABELS = {
+  create: 'Crear',
+  update: 'Editar',
+  delete: 'Eliminar'
+};
+
+const itemName = (item) => item.data?.park_name || item.park?.park_name || `Parque #${item.parkId}`;
+
+/**
+ * Aviso global de la bandeja de salida: muestra los cambios pendientes,
+ * los reenvía al recuperar la conexión y reporta los conflictos
+ */
+export default function OutboxStatus() {
+  const isOnline = useOnlineStatus();
+  const { items, conflicts, pendingCount } = useOutbox();
+
+  /**
+   * Reenviar la bandeja y notificar el resultado con SweetAlert
+   */
+  const syncOutbox = useCallback(async () => {
+    const result = await outbox.replay();
+    if (!result) return;
+
+    if (result.synced.length > 0) {
+      Swal.fire({
+        icon: 'success',
+        title: 'Cambios sincronizados',
+        text: `Se enviaron ${result.synced.length} cambio(s) hechos sin conexión`,
+        timer: 2500,
+        showConfirmButton: false,
+        toast: true,
+        position: 'top-end'
+      });
+    }
+
+    if (result.conflicts.length > 0) {
+      Swal.fire({
+        icon: 'error',
+        title: 'Conflictos al sincronizar',
+        html: `
+          <div class="text-left text-sm space-y-2">
+            ${result.conflicts.map((item) => `
+              <p><strong>${ACTION_LABELS[item.type]} "${escapeHtml(itemName(item))}":</strong> ${escapeHtml(item.conflict.message)}</p>
+            `).join('')}
+            <p class="text-gray-500 mt-3">Revisa los cambios marcados en la lista para corregirlos o descartarlos.</p>
+          </div>
+        `,
+        confirmButtonColor: '#dc2626'
+      });
+    }
+  }, []);
+
+  // Al montar (cambios de una sesión anterior) y cada vez que vuelve la red
+  useEffect(() => {
+    if (isOnline) syncOutbox();
+  }, [isOnline, syncOutbox]);
+
+  const handleDiscard = async (item) => {
+    const result = await Swal.fire({
+      icon: 'warning',
+      title: '¿Descartar cambio?',
+      text: `${ACTION_LABELS[item.type]} "${itemName(item)}" no se enviará al servidor`,
+      showCancelButton: true,
+      confirmButtonText: 'Sí, descartar',
+      cancelButtonText: 'Cancelar',
+      confirmButtonColor: '#dc2626'
+    });
+    if (result.isConfirmed) outbox.discard(item.id);
+  };
+
+  if (isOnline && items.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 w-[calc(100%-2rem)] max-w-xl">
+      <div className={`rounded-2xl shadow-xl border p-4 backdrop-blur-sm ${
+        conflicts.length > 0 ? 'bg-red-50/95 border-red-200' : 'bg-amber-50/95 border-amber-200'
+      }`}>
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-2 text-sm font-medium text-amber-800">
+            {!isOnline && <CloudOff className="w-4 h-4" />}
+            {isOnline && pendingCount > 0 && <RefreshCw className="w-4 h-4 animate-spin" />}
+            {isOnline && pendingCount === 0 && <AlertTriangle className="w-4 h-4 text-red-600" />}
+            <span>
+              {!isOnline ? 'Sin conexión' : pendingCount > 0 ? 'Sincronizando' : 'Cambios sin sincronizar'}
+              {pendingCount > 0 && ` • ${pendingCount} cambio${pendingCount !== 1 ? 's' : ''} pendiente${pendingCount !== 1 ? 's' : ''}`}
+              {!isOnline && pendingCount === 0 && ' • mostrando la última copia sincronizada'}
+            </span>
+          </div>
+          {isOnline && pendingCount > 0 && (
+            <button
+              onClick={syncOutbox}
+              className="text-xs text-amber-700 hover:text-amber-900 underline"
+            >
+              Reintentar
+            </button>
+          )}
+        </div>
+
+        {/* Conflictos reportados al reenviar */}
+        {conflicts.length > 0 && (
+          <ul className="mt-3 space-y-2">
+            {conflicts.map((item) => (
+              <li key={item.id} className="flex items-start justify-between text-sm bg-white/70 rounded-lg px-3 py-2">
+                <div className="flex items-start space-x-2">
+                  <AlertTriangle className="w-4 h-4 text-red-600 mt-0.5 flex-shrink-0" />
+                  <div>
+                    <p className="font-medium text-red-800">
+                      {ACTION_LABELS[item.type]}: {itemName(item)}
+                    </p>
+                    <p className="text-red-600 text-xs">{item.conflict.message}</p>
+                    {item.type !== 'delete' && item.conflict.status !== 404 && (
+                      <Link to={`/parks/${item.parkId}/edit`} className="text-xs text-blue-600 hover:underline">
+                        Corregir
+                      </Link>
+                    )}
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleDiscard(item)}
+                  className="text-gray-400 hover:text-red-600 p-1"
+                  title="Descartar cambio"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,10 +1,14 @@
 import { useState } from "react";
 import { Link } from "react-router-dom";
-import { MapPin, Edit, Trash2, Eye, ExternalLink, Map } from "lucide-react";
+import { MapPin, Edit, Copy, Trash2, Eye, ExternalLink, Map, CloudOff, AlertTriangle } from "lucide-react";
 import Swal from 'sweetalert2';
-import api from "../api/axios";
+import { deletePark } from "../api/parkMutations";
+import { ParkNetworkError, ParkNotFoundError, describeAttempts } from "../api/errors";
+import { getStorageUrl } from "../api/storage";
+import { escapeHtml } from "../utils/text";
+import Highlight from "./Highlight";
 
-export default function ParkCard({ park, onParkDeleted }) {
+export default function ParkCard({ park, onParkDeleted, highlights = {} }) {
   const [isDeleting, setIsDeleting] = useState(false);
   const [imageLoaded, setImageLoaded] = useState(false);
   const [imageError, setImageError] = useState(false);
@@ -21,7 +25,7 @@ export default function ParkCard({ park, onParkDeleted }) {
     
     // Si hay park_img_uri, construir la URL del servidor según requisitos
     if (park.park_img_uri && !imageError) {
-      return `https://azuritaa33.sg-host.com/storage/${park.park_img_uri}`;
+      return getStorageUrl(park.park_img_uri);
     }
     
     // Fallback a imagen por defecto
@@ -33,26 +37,16 @@ export default function ParkCard({ park, onParkDeleted }) {
    * Cumple con manejo de errores 404 según documentación API
    */
   const handleDeleteClick = async () => {
-    // Validar conectividad
-    if (!navigator.onLine) {
-      return Swal.fire({
-        icon: 'warning',
-        title: 'Sin conexión',
-        text: 'Verifica tu conexión a internet para eliminar el parque',
-        confirmButtonColor: '#dc2626'
-      });
-    }
-
     // Confirmación con información detallada del parque
     const result = await Swal.fire({
       icon: 'warning',
       title: '¿Eliminar parque?',
       html: `
         <div class="text-left space-y-2">
-          <p><strong>Parque:</strong> ${park.park_name}</p>
-          <p><strong>Abreviación:</strong> ${park.park_abbreviation}</p>
-          <p><strong>Ubicación:</strong> ${park.park_city}, ${park.park_state}</p>
-          <p><strong>Dirección:</strong> ${park.park_address}</p>
+          <p><strong>Parque:</strong> ${escapeHtml(park.park_name)}</p>
+          <p><strong>Abreviación:</strong> ${escapeHtml(park.park_abbreviation)}</p>
+          <p><strong>Ubicación:</strong> ${escapeHtml(park.park_city)}, ${escapeHtml(park.park_state)}</p>
+          <p><strong>Dirección:</strong> ${escapeHtml(park.park_address)}</p>
           <p class="text-red-600 text-sm mt-3">
             <strong>⚠️ Esta acción no se puede deshacer</strong>
           </p>
@@ -74,7 +68,7 @@ export default function ParkCard({ park, onParkDeleted }) {
     // Mostrar progreso de eliminación
     Swal.fire({
       title: 'Eliminando parque...',
-      html: `Eliminando <strong>${park.park_name}</strong> del sistema`,
+      html: `Eliminando <strong>${escapeHtml(park.park_name)}</strong> del sistema`,
       allowOutsideClick: false,
       allowEscapeKey: false,
       showConfirmButton: false,
@@ -83,7 +77,8 @@ export default function ParkCard({ park, onParkDeleted }) {
 
     try {
       // DELETE request según documentación API
-      await api.delete(`/parks/${park.id}`, {
+      // Sin conexión la eliminación queda en la bandeja de salida
+      const { queued } = await deletePark(park.id, park, {
         timeout: 15000, // Timeout más generoso
         headers: { 
           'Accept': 'application/json',
@@ -94,8 +89,10 @@ export default function ParkCard({ park, onParkDeleted }) {
       // Éxito - respuesta 204 No Content según documentación
       await Swal.fire({
         icon: 'success',
-        title: '¡Parque eliminado exitosamente!',
-        html: `<strong>${park.park_name}</strong> ha sido eliminado del sistema`,
+        title: queued ? 'Eliminación pendiente' : '¡Parque eliminado exitosamente!',
+        html: queued
+          ? `<strong>${escapeHtml(park.park_name)}</strong> se eliminará cuando vuelva la conexión`
+          : `<strong>${escapeHtml(park.park_name)}</strong> ha sido eliminado del sistema`,
         timer: 3000,
         showConfirmButton: false,
         timerProgressBar: true,
@@ -118,23 +115,23 @@ export default function ParkCard({ park, onParkDeleted }) {
       };
 
       // Manejo específico de errores según documentación API
-      if (error.response?.status === 404) {
+      if (error instanceof ParkNotFoundError) {
         errorConfig.title = 'Parque no encontrado';
         errorConfig.text = 'El parque ya no existe o fue eliminado previamente';
-      } else if (error.response?.status === 403) {
+      } else if (error.status === 403) {
         errorConfig.title = 'Sin permisos';
         errorConfig.text = 'No tienes permisos para eliminar este parque';
-      } else if (error.response?.status === 401) {
+      } else if (error.status === 401) {
         errorConfig.title = 'No autorizado';
         errorConfig.text = 'Tus credenciales han expirado. Actualiza la página';
-      } else if (error.response?.status === 500) {
+      } else if (error.status === 500) {
         errorConfig.title = 'Error del servidor';
         errorConfig.text = 'Hubo un problema en el servidor. Intenta más tarde';
-      } else if (error.code === 'ECONNABORTED') {
+      } else if (error instanceof ParkNetworkError && error.isTimeout) {
         errorConfig.title = 'Tiempo agotado';
         errorConfig.text = 'La eliminación tardó demasiado tiempo. Verifica tu conexión';
-      } else if (error.response?.data?.message) {
-        errorConfig.text = error.response.data.message;
+      } else if (error.data?.message) {
+        errorConfig.text = error.data.message;
       } else if (!navigator.onLine) {
         errorConfig.title = 'Sin conexión';
         errorConfig.text = 'Se perdió la conexión a internet durante la eliminación';
@@ -143,6 +140,7 @@ export default function ParkCard({ park, onParkDeleted }) {
       // Mostrar error con opción de reintentar
       const retry = await Swal.fire({
         ...errorConfig,
+        text: errorConfig.text + describeAttempts(error),
         showCancelButton: true,
         confirmButtonText: 'Reintentar',
         cancelButtonText: 'Cancelar',
@@ -215,8 +213,12 @@ export default function ParkCard({ park, onParkDeleted }) {
     }
   };
 
+  const pendingDelete = park.pending?.type === 'delete';
+
   return (
-    <div className="bg-white rounded-2xl overflow-hidden shadow-lg transition-all duration-300 hover:shadow-xl hover:scale-[1.02] relative group">
+    <div className={`bg-white rounded-2xl overflow-hidden shadow-lg transition-all duration-300 hover:shadow-xl hover:scale-[1.02] relative group ${
+      pendingDelete ? 'opacity-60' : ''
+    }`}>
       
       {/* Overlay de eliminación */}
       {isDeleting && (
@@ -247,7 +249,7 @@ export default function ParkCard({ park, onParkDeleted }) {
             imageLoaded ? 'opacity-100' : 'opacity-0'
           }`}
           onLoad={() => setImageLoaded(true)}
-          onError={(e) => {
+          onError={() => {
             console.warn('Error cargando imagen para parque:', park.id, getImageUrl());
             if (!imageError) {
               setImageError(true);
@@ -265,7 +267,21 @@ export default function ParkCard({ park, onParkDeleted }) {
         {/* Badge de abreviación (campo requerido por API) */}
         {park.park_abbreviation && (
           <div className="absolute top-3 right-3 bg-emerald-600/90 backdrop-blur-sm text-white text-xs font-bold px-3 py-1.5 rounded-full shadow-lg">
-            {park.park_abbreviation}
+            <Highlight text={park.park_abbreviation} ranges={highlights.park_abbreviation} />
+          </div>
+        )}
+
+        {/* Cambios hechos sin conexión */}
+        {park.pending && (
+          <div className={`absolute bottom-3 left-3 flex items-center space-x-1 text-xs font-medium px-3 py-1.5 rounded-full shadow-lg ${
+            park.pending.conflict ? 'bg-red-600/90 text-white' : 'bg-amber-400/90 text-amber-900'
+          }`} title={park.pending.conflict || undefined}>
+            {park.pending.conflict ? <AlertTriangle className="w-3.5 h-3.5" /> : <CloudOff className="w-3.5 h-3.5" />}
+            <span>
+              {park.pending.conflict
+                ? 'Conflicto al sincronizar'
+                : pendingDelete ? 'Eliminación pendiente' : 'Pendiente de sincronizar'}
+            </span>
           </div>
         )}
 
@@ -296,19 +312,20 @@ export default function ParkCard({ park, onParkDeleted }) {
         {/* Información principal */}
         <div className="mb-4">
           <h2 className="text-xl font-bold text-gray-900 mb-2 line-clamp-1" title={park.park_name}>
-            {park.park_name}
+            <Highlight text={park.park_name} ranges={highlights.park_name} />
           </h2>
           
           <div className="flex items-center text-gray-600 text-sm mb-2">
             <MapPin className="w-4 h-4 mr-1 flex-shrink-0 text-emerald-600" />
             <span className="truncate">
-              {park.park_city}, {park.park_state}
+              <Highlight text={park.park_city} ranges={highlights.park_city} />,{' '}
+              <Highlight text={park.park_state} ranges={highlights.park_state} />
             </span>
           </div>
           
           {park.park_address && (
             <p className="text-gray-500 text-sm line-clamp-2 leading-relaxed" title={park.park_address}>
-              📍 {park.park_address}
+              📍 <Highlight text={park.park_address} ranges={highlights.park_address} />
             </p>
           )}
         </div>
@@ -340,10 +357,20 @@ export default function ParkCard({ park, onParkDeleted }) {
           >
             <Edit className="w-4 h-4" />
           </Link>
+
+          {/* Duplicar: el formulario de alta recibe el parque en el estado de la ruta */}
+          <Link
+            to={`/parks/new?from=${park.id}`}
+            state={{ park }}
+            className="flex items-center justify-center bg-gradient-to-r from-amber-500 to-amber-600 hover:from-amber-600 hover:to-amber-700 text-white p-2.5 rounded-xl transition-all duration-200 hover:scale-105 shadow-md hover:shadow-lg"
+            title={`Duplicar ${park.park_name}`}
+          >
+            <Copy className="w-4 h-4" />
+          </Link>
           
           <button
             onClick={handleDeleteClick}
-            disabled={isDeleting}
+            disabled={isDeleting || pendingDelete}
             className="flex items-center justify-center bg-gradient-to-r from-red-600 to-red-700 hover:from-red-700 hover:to-red-800 text-white p-2.5 rounded-xl transition-all duration-200 hover:scale-105 shadow-md hover:shadow-lg disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
             title={`Eliminar ${park.park_name}`}
           >
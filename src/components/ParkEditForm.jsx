@@ -1,274 +1,175 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { MapPin, Building, Save, ArrowLeft, Edit } from 'lucide-react';
 import Swal from 'sweetalert2';
-import api from '../api/axios';
-
-// Hook reutilizable de validaciones (igual que ParkForm)
-const useFormValidation = () => {
-  const [errors, setErrors] = useState({});
-  
-  const validationRules = {
-    park_name: (value) => {
-      if (!value.trim()) return 'El nombre es requerido';
-      if (value.length < 3) return 'Mínimo 3 caracteres';
-      if (value.length > 100) return 'Máximo 100 caracteres';
-      if (!/^[a-zA-ZáéíóúÁÉÍÓÚñÑ\s]+$/.test(value.trim())) return 'Solo letras y espacios';
-      return null;
-    },
-    park_abbreviation: (value) => {
-      if (!value.trim()) return 'La abreviación es requerida';
-      if (value.length < 2) return 'Mínimo 2 caracteres';
-      if (value.length > 10) return 'Máximo 10 caracteres';
-      if (!/^[a-zA-ZáéíóúÁÉÍÓÚñÑ]+$/.test(value.trim())) return 'Solo letras';
-      return null;
-    },
-    park_img_url: (value) => {
-      if (!value.trim()) return 'La URL es requerida';
-      if (!/^https?:\/\/.+\.(jpg|jpeg|png|webp)(\?.*)?$/i.test(value)) return 'URL inválida (.jpg, .jpeg, .png, .webp)';
-      return null;
-    },
-    park_address: (value) => {
-      if (!value.trim()) return 'La dirección es requerida';
-      if (value.length < 10) return 'Mínimo 10 caracteres';
-      if (value.length > 150) return 'Máximo 150 caracteres';
-      return null;
-    },
-    park_city: (value) => {
-      const validCities = ['Zapopan', 'Guadalajara', 'San Pedro Tlaquepaque', 'Tonalá'];
-      if (!value) return 'La ciudad es requerida';
-      if (!validCities.includes(value)) return 'Ciudad no válida';
-      return null;
-    },
-    park_zip_code: (value) => {
-      if (!value) return 'El código postal es requerido';
-      if (!/^4[4-5]\d{3}$/.test(value)) return 'Código inválido para Jalisco (44xxx o 45xxx)';
-      return null;
-    },
-    park_latitude: (value) => {
-      if (!value) return 'La latitud es requerida';
-      if (isNaN(value) || value < 20 || value > 21.5) return 'Latitud inválida para Jalisco (20-21.5)';
-      return null;
-    },
-    park_longitude: (value) => {
-      if (!value) return 'La longitud es requerida';
-      if (isNaN(value) || value < -105 || value > -102) return 'Longitud inválida para Jalisco (-105 a -102)';
-      return null;
-    }
-  };
-
-  const validate = (name, value) => {
-    const error = validationRules[name]?.(value);
-    setErrors(prev => ({ ...prev, [name]: error || undefined }));
-    return !error;
-  };
-
-  const validateAll = (formData) => {
-    const newErrors = {};
-    let isValid = true;
-    
-    Object.keys(formData).forEach(key => {
-      const error = validationRules[key]?.(formData[key]);
-      if (error) {
-        newErrors[key] = error;
-        isValid = false;
-      }
-    });
-    
-    setErrors(newErrors);
-    return isValid;
-  };
-
-  return { errors, validate, validateAll, setErrors };
-};
-
-// Componente InputField reutilizable
-const InputField = ({ label, name, value, onChange, error, type = "text", placeholder, maxLength, required = true, options = null }) => (
-  <div>
-    <label className="block text-sm font-semibold text-gray-700 mb-2">
-      {label} {required && '*'}
-    </label>
-    
-    {options ? (
-      <select
-        name={name}
-        value={value}
-        onChange={onChange}
-        required={required}
-        className={`w-full px-4 py-3 border-2 rounded-xl transition-all duration-300 focus:ring-4 focus:ring-emerald-200 focus:border-emerald-500 ${
-          error ? 'border-red-300 bg-red-50' : 'border-gray-200'
-        }`}
-      >
-        <option value="">Seleccionar {label.toLowerCase()}</option>
-        {options.map(option => (
-          <option key={option} value={option}>{option}</option>
-        ))}
-      </select>
-    ) : (
-      <input
-        type={type}
-        name={name}
-        value={value}
-        onChange={onChange}
-        required={required}
-        maxLength={maxLength}
-        step={type === 'number' ? 'any' : undefined}
-        className={`w-full px-4 py-3 border-2 rounded-xl transition-all duration-300 focus:ring-4 focus:ring-emerald-200 focus:border-emerald-500 ${
-          error ? 'border-red-300 bg-red-50' : 'border-gray-200'
-        }`}
-        placeholder={placeholder}
-      />
-    )}
-    
-    {error && (
-      <p className="text-red-600 text-sm mt-1 flex items-center">
-        <span className="mr-1">⚠️</span> {error}
-      </p>
-    )}
-    
-    {maxLength && (
-      <p className="text-gray-500 text-xs mt-1">{value.length}/{maxLength} caracteres</p>
-    )}
-  </div>
-);
+import { serializePark } from '../api/parksService';
+import { updatePark } from '../api/parkMutations';
+import { useParkDetail, useParksList } from '../hooks/useParks';
+import { ParkConflictError, ParkNetworkError, ParkNotFoundError, ParkValidationError, describeAttempts, getFieldErrors } from '../api/errors';
+import { useFormErrorFocus } from '../hooks/useFormErrorFocus';
+import { useFormValidation } from '../hooks/useFormValidation';
+import { useFormDraft } from '../hooks/useFormDraft';
+import { useUnsavedChanges } from '../hooks/useUnsavedChanges';
+import { useAbbreviationCheck } from '../hooks/useAbbreviationCheck';
+import { useImageCheck } from '../hooks/useImageCheck';
+import { useParkFormFields } from '../hooks/useParkFormFields';
+import { PARK_SCHEMA, checkParkWarnings } from '../validation/parkSchema';
+import { parkToFormData } from '../validation/parkForm';
+import { getStorageUrl } from '../api/storage';
+import { STATE_NAMES, getMunicipalities } from '../data/regions';
+import InputField from './InputField';
+import AbbreviationHelper from './AbbreviationHelper';
+import MapPicker from './MapPicker';
+import CoordinatePaste from './CoordinatePaste';
+import GeocodeActions from './GeocodeActions';
+import ZipSuggestion from './ZipSuggestion';
+import ImageUpload from './ImageUpload';
+import ImagePreview from './ImagePreview';
+import { confirmBrokenImage, confirmWarnings, showAlert, showServerErrors } from './parkFormDialogs';
 
 const ParkEditForm = () => {
   const navigate = useNavigate();
   const { id } = useParams();
-  const { errors, validate, validateAll } = useFormValidation();
+  const { errors, validate, validateAll, setServerErrors } = useFormValidation();
+  const { formRef, focusFirstError } = useFormErrorFocus();
   
-  const [formData, setFormData] = useState({
-    park_name: '', park_abbreviation: '', park_img_url: '',
-    park_address: '', park_city: '', park_state: 'Jalisco',
-    park_zip_code: '', park_latitude: '', park_longitude: ''
-  });
+  const { data: park, error: loadError, isLoading: loading, refetch } = useParkDetail(id);
+  // La imagen ya guardada, como una nueva, hace opcional la URL
+  const {
+    formData, setFormData, image, withImage, handleChange, handleImageChange,
+    applyZipSuggestion, setCoordinates, applyPlace, addColonia, warnings, zipPlaceholder
+  } = useParkFormFields({ validate, imageUri: park?.park_img_uri });
   
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [loading, setLoading] = useState(true);
   const [originalData, setOriginalData] = useState({});
+  // Borrador en localStorage; se ofrece cuando ya se cargó la versión del servidor
+  const { clearDraft } = useFormDraft({
+    key: `edit:${id}`,
+    formData,
+    baseData: originalData,
+    ready: Object.keys(originalData).length > 0,
+    onRestore: setFormData
+  });
+  // Salir con cambios (Volver, atrás, enlaces o cerrar la pestaña)
+  const { allowNavigation } = useUnsavedChanges({
+    formData,
+    baseData: originalData,
+    enabled: Object.keys(originalData).length > 0,
+    otherChanges: image ? ['park_img'] : [],
+    onSave: (location) => handleSubmit(null, { redirectTo: location }),
+    onDiscard: clearDraft
+  });
+  const initializedIdRef = useRef(null);
+  const { data: parks } = useParksList();
+  const abbreviationCheck = useAbbreviationCheck({
+    abbreviation: formData.park_abbreviation,
+    name: formData.park_name,
+    parks: parks ?? [],
+    excludeId: id
+  });
+  // La URL de imagen se carga en segundo plano para la vista previa
+  const imageCheck = useImageCheck(formData.park_img_url);
 
-  const cities = ['Zapopan', 'Guadalajara', 'San Pedro Tlaquepaque', 'Tonalá'];
+  // Inicializar el formulario una sola vez por parque: una revalidación en
+  // segundo plano no debe pisar lo que el usuario ya escribió
+  useEffect(() => {
+    if (!park || initializedIdRef.current === id) return;
+    initializedIdRef.current = id;
 
-  const showAlert = (type, title, text, options = {}) => {
-    return Swal.fire({
-      icon: type,
-      title,
-      text,
-      confirmButtonColor: '#10b981',
-      ...options
+    const parkData = parkToFormData(park);
+    
+    setFormData(parkData);
+    setOriginalData(parkData);
+    
+    // Notificación de éxito
+    Swal.fire({
+      icon: 'success',
+      title: 'Parque cargado',
+      text: `${park.park_name} listo para editar`,
+      timer: 2000,
+      showConfirmButton: false,
+      toast: true,
+      position: 'top-end'
     });
-  };
+  }, [park, id, setFormData]);
 
-  // Cargar datos del parque con Sweet Alert
+  // Errores de carga con Sweet Alert (solo si no hay datos que editar)
   useEffect(() => {
-    const fetchPark = async () => {
-      if (!navigator.onLine) {
-        showAlert('warning', 'Sin conexión', 'Verifica tu conexión a internet');
-        navigate('/');
-        return;
-      }
-
-      try {
-        console.log('Cargando parque ID:', id);
-        
-        const response = await api.get(`/parks/${id}`, {
-          timeout: 10000,
-          headers: { 'Accept': 'application/json' }
-        });
-        
-        const park = response.data.data || response.data;
-        
-        if (!park || !park.park_name) {
-          throw new Error('Datos del parque incompletos');
-        }
-        
-        const parkData = {
-          park_name: park.park_name || '',
-          park_abbreviation: park.park_abbreviation || '',
-          park_img_url: park.park_img_url || '',
-          park_address: park.park_address || '',
-          park_city: park.park_city || '',
-          park_state: park.park_state || 'Jalisco',
-          park_zip_code: park.park_zip_code?.toString() || '',
-          park_latitude: park.park_latitude?.toString() || '',
-          park_longitude: park.park_longitude?.toString() || ''
-        };
-        
-        setFormData(parkData);
-        setOriginalData(parkData);
-        
-        // Notificación de éxito
-        Swal.fire({
-          icon: 'success',
-          title: 'Parque cargado',
-          text: `${park.park_name} listo para editar`,
-          timer: 2000,
-          showConfirmButton: false,
-          toast: true,
-          position: 'top-end'
-        });
-        
-      } catch (error) {
-        console.error('Error al cargar parque:', error);
-        
-        let errorMessage = 'No se pudo cargar el parque';
-        let errorTitle = 'Error de carga';
-        
-        if (error.response?.status === 404) {
-          errorTitle = 'Parque no encontrado';
-          errorMessage = `No existe un parque con ID: ${id}`;
-        } else if (error.response?.status === 500) {
-          errorTitle = 'Error del servidor';
-          errorMessage = 'Problema en el servidor. Intenta más tarde.';
-        } else if (error.code === 'ECONNABORTED') {
-          errorTitle = 'Tiempo agotado';
-          errorMessage = 'La carga tardó demasiado tiempo.';
-        }
-
-        const result = await showAlert('error', errorTitle, errorMessage, {
-          showCancelButton: true,
-          confirmButtonText: 'Reintentar',
-          cancelButtonText: 'Volver al inicio'
-        });
-
-        if (result.isConfirmed) {
-          window.location.reload();
-        } else {
-          navigate('/');
-        }
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    if (id) {
-      fetchPark();
-    } else {
+    if (!id) {
       showAlert('warning', 'ID faltante', 'No se proporcionó un ID de parque válido');
       navigate('/');
+      return;
     }
-  }, [id, navigate]);
+    if (!loadError || park) return;
 
-  const handleChange = (e) => {
-    const { name, value } = e.target;
-    setFormData(prev => ({ ...prev, [name]: value }));
-    setTimeout(() => validate(name, value), 300);
-  };
+    if (!navigator.onLine) {
+      showAlert('warning', 'Sin conexión', 'Este parque no está disponible sin conexión');
+      navigate('/');
+      return;
+    }
+
+    console.error('Error al cargar parque:', loadError);
+    
+    let errorMessage = 'No se pudo cargar el parque';
+    let errorTitle = 'Error de carga';
+    
+    if (loadError instanceof ParkNotFoundError) {
+      errorTitle = 'Parque no encontrado';
+      errorMessage = `No existe un parque con ID: ${id}`;
+    } else if (loadError.status === 500) {
+      errorTitle = 'Error del servidor';
+      errorMessage = 'Problema en el servidor. Intenta más tarde.';
+    } else if (loadError instanceof ParkNetworkError && loadError.isTimeout) {
+      errorTitle = 'Tiempo agotado';
+      errorMessage = 'La carga tardó demasiado tiempo.';
+    }
+
+    showAlert('error', errorTitle, errorMessage + describeAttempts(loadError), {
+      showCancelButton: true,
+      confirmButtonText: 'Reintentar',
+      cancelButtonText: 'Volver al inicio'
+    }).then((result) => {
+      if (result.isConfirmed) {
+        refetch().catch(() => {});
+      } else {
+        navigate('/');
+      }
+    });
+  }, [loadError, park, id, navigate, refetch]);
 
   const hasChanges = () => {
-    return JSON.stringify(formData) !== JSON.stringify(originalData);
+    return image !== null || JSON.stringify(formData) !== JSON.stringify(originalData);
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  /**
+   * Valida, confirma y guarda los cambios; al terminar navega a
+   * `redirectTo` (la lista, o la ruta que se dejó pendiente al querer salir)
+   */
+  const handleSubmit = async (e, { redirectTo = '/' } = {}) => {
+    e?.preventDefault();
+
+    const clientErrors = validateAll(withImage(formData));
+    if (clientErrors) {
+      const errorCount = Object.keys(clientErrors).length;
+      await showAlert('error', 'Formulario incompleto', `Corrige ${errorCount} campo(s) con errores`, { returnFocus: false });
+      return focusFirstError(clientErrors);
+    }
+
+    // La revisión en vivo ya encontró otro parque con esa abreviación
+    if (abbreviationCheck.status === 'taken') {
+      await showAlert('error', 'Abreviación en uso', abbreviationCheck.error, { returnFocus: false });
+      return focusFirstError({ park_abbreviation: abbreviationCheck.error });
+    }
 
-    if (!navigator.onLine) {
-      return showAlert('warning', 'Sin conexión', 'Verifica tu conexión a internet');
+    const submitWarnings = checkParkWarnings(formData);
+    if (submitWarnings) {
+      const proceed = await confirmWarnings(submitWarnings);
+      if (!proceed.isConfirmed) return focusFirstError(submitWarnings);
     }
 
-    if (!validateAll(formData)) {
-      const errorCount = Object.keys(errors).length;
-      return showAlert('error', 'Formulario incompleto', `Corrige ${errorCount} campo(s) con errores`);
+    if (imageCheck.status === 'error') {
+      const proceed = await confirmBrokenImage(imageCheck);
+      if (!proceed.isConfirmed) return focusFirstError({ park_img_url: imageCheck.error });
     }
 
     if (!hasChanges()) {
@@ -282,6 +183,7 @@ const ParkEditForm = () => {
         changes.push(`• ${key.replace('park_', '').replace('_', ' ')}: "${originalData[key]}" → "${formData[key]}"`);
       }
     });
+    if (image) changes.push(`• imagen: nueva (${image.width} × ${image.height} px)`);
 
     const confirmed = await Swal.fire({
       icon: 'question',
@@ -316,67 +218,70 @@ const ParkEditForm = () => {
     });
 
     try {
-      const dataToUpdate = {
-        park_name: formData.park_name.trim(),
-        park_abbreviation: formData.park_abbreviation.trim().toUpperCase(),
-        park_img_url: formData.park_img_url.trim(),
-        park_address: formData.park_address.trim(),
-        park_city: formData.park_city,
-        park_state: formData.park_state.trim(),
-        park_zip_code: parseInt(formData.park_zip_code),
-        park_latitude: parseFloat(formData.park_latitude),
-        park_longitude: parseFloat(formData.park_longitude)
-      };
+      const dataToUpdate = image ? { ...serializePark(formData), park_img: image.file } : serializePark(formData);
 
       console.log('Actualizando parque:', { id, data: dataToUpdate });
 
-      const response = await api.put(`/parks/${id}`, dataToUpdate, {
+      const { queued } = await updatePark(id, dataToUpdate, {
         headers: { 'Content-Type': 'application/json' },
         timeout: 15000
       });
 
-      console.log('Respuesta:', response);
-
-      if (response.status === 200 || response.status === 201) {
+      if (queued) {
+        await showAlert('success', 'Guardado sin conexión', `Los cambios de ${formData.park_name} se enviarán cuando vuelva la conexión`, {
+          timer: 3000,
+          showConfirmButton: false
+        });
+      } else {
         await showAlert('success', '¡Parque actualizado!', `${formData.park_name} se actualizó correctamente`, {
           timer: 3000,
           showConfirmButton: false
         });
-
-        navigate('/', { state: { refresh: true } });
       }
 
+      clearDraft();
+      allowNavigation();
+      navigate(redirectTo, { state: { refresh: true } });
+
     } catch (error) {
       console.error('Error al actualizar:', error);
+
+      // 422 (y 409 con `errors`): cada mensaje va debajo de su campo
+      const fieldErrors = getFieldErrors(error);
+      if (Object.keys(fieldErrors).length > 0) {
+        setServerErrors(fieldErrors);
+        await showServerErrors(error, fieldErrors);
+        return focusFirstError(fieldErrors);
+      }
       
       let message = 'Error desconocido al actualizar';
       let title = 'Error de actualización';
       
-      if (error.response?.status === 422) {
+      if (error instanceof ParkValidationError) {
         title = 'Datos inválidos';
         message = 'Los datos enviados no son válidos. Revisa todos los campos.';
-      } else if (error.response?.status === 404) {
+      } else if (error instanceof ParkNotFoundError) {
         title = 'Parque no encontrado';
         message = 'El parque ya no existe o fue eliminado.';
-      } else if (error.response?.status === 409) {
+      } else if (error instanceof ParkConflictError) {
         title = 'Conflicto de datos';
         message = 'Ya existe otro parque con ese nombre o abreviación.';
-      } else if (error.response?.status === 500) {
+      } else if (error.status === 500) {
         title = 'Error del servidor';
         message = 'Problema en el servidor. Intenta más tarde.';
-      } else if (error.code === 'ECONNABORTED') {
+      } else if (error instanceof ParkNetworkError && error.isTimeout) {
         title = 'Tiempo agotado';
         message = 'La actualización tardó demasiado tiempo.';
       }
 
-      const retry = await showAlert('error', title, message, {
+      const retry = await showAlert('error', title, message + describeAttempts(error), {
         showCancelButton: true,
         confirmButtonText: 'Reintentar',
         cancelButtonText: 'Cancelar'
       });
 
       if (retry.isConfirmed) {
-        handleSubmit(e);
+        handleSubmit(e, { redirectTo });
       }
     } finally {
       setIsSubmitting(false);
@@ -407,23 +312,8 @@ const ParkEditForm = () => {
         
         <div className="mb-6 flex items-center justify-between">
           <button
-            onClick={() => {
-              if (hasChanges()) {
-                Swal.fire({
-                  icon: 'warning',
-                  title: '¿Descartar cambios?',
-                  text: 'Tienes cambios sin guardar que se perderán',
-                  showCancelButton: true,
-                  confirmButtonText: 'Sí, descartar',
-                  cancelButtonText: 'Continuar editando',
-                  confirmButtonColor: '#ef4444'
-                }).then((result) => {
-                  if (result.isConfirmed) navigate('/');
-                });
-              } else {
-                navigate('/');
-              }
-            }}
+            // Con cambios sin guardar, useUnsavedChanges pide confirmación
+            onClick={() => navigate('/')}
             className="flex items-center space-x-2 px-4 py-2 text-gray-600 hover:text-gray-800 hover:bg-white rounded-lg transition-all duration-300 transform hover:scale-102"
           >
             <ArrowLeft className="w-5 h-5" />
@@ -451,7 +341,7 @@ const ParkEditForm = () => {
             </div>
           </div>
 
-          <form onSubmit={handleSubmit} className="p-6">
+          <form ref={formRef} onSubmit={handleSubmit} noValidate className="p-6">
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               
               <div className="space-y-4">
@@ -467,7 +357,7 @@ const ParkEditForm = () => {
                   onChange={handleChange}
                   error={errors.park_name}
                   placeholder="Ej: Parque Metropolitano"
-                  maxLength={100}
+                  maxLength={PARK_SCHEMA.park_name.maxLength}
                 />
 
                 <InputField
@@ -475,9 +365,15 @@ const ParkEditForm = () => {
                   name="park_abbreviation"
                   value={formData.park_abbreviation}
                   onChange={handleChange}
-                  error={errors.park_abbreviation}
+                  error={errors.park_abbreviation || abbreviationCheck.error}
                   placeholder="Ej: PM"
-                  maxLength={10}
+                  maxLength={PARK_SCHEMA.park_abbreviation.maxLength}
+                />
+
+                <AbbreviationHelper
+                  check={abbreviationCheck}
+                  value={formData.park_abbreviation}
+                  onPick={(value) => handleChange({ target: { name: 'park_abbreviation', value } })}
                 />
 
                 <InputField
@@ -487,8 +383,13 @@ const ParkEditForm = () => {
                   onChange={handleChange}
                   error={errors.park_img_url}
                   type="url"
-                  placeholder="https://ejemplo.com/imagen.jpg"
+                  required={!image && !park?.park_img_uri}
+                  placeholder={image || park?.park_img_uri ? 'Opcional si subes una imagen' : 'https://ejemplo.com/imagen.jpg'}
                 />
+
+                <ImagePreview check={imageCheck} />
+
+                <ImageUpload image={image} currentUrl={getStorageUrl(park?.park_img_uri)} onChange={handleImageChange} />
               </div>
 
               <div className="space-y-4">
@@ -504,37 +405,47 @@ const ParkEditForm = () => {
                   onChange={handleChange}
                   error={errors.park_address}
                   placeholder="Av. Alcalde 1351, Col. Miraflores"
-                  maxLength={150}
+                  maxLength={PARK_SCHEMA.park_address.maxLength}
                 />
 
+                {/* Selects dependientes: las ciudades salen del estado elegido */}
                 <div className="grid grid-cols-2 gap-4">
                   <InputField
-                    label="Ciudad"
-                    name="park_city"
-                    value={formData.park_city}
+                    label="Estado"
+                    name="park_state"
+                    value={formData.park_state}
                     onChange={handleChange}
-                    error={errors.park_city}
-                    options={cities}
+                    error={errors.park_state}
+                    options={STATE_NAMES}
                   />
 
                   <InputField
-                    label="Código Postal"
-                    name="park_zip_code"
-                    value={formData.park_zip_code}
+                    label="Ciudad"
+                    name="park_city"
+                    value={formData.park_city}
                     onChange={handleChange}
-                    error={errors.park_zip_code}
-                    type="number"
-                    placeholder="44100"
+                    error={errors.park_city}
+                    options={getMunicipalities(formData.park_state)}
                   />
                 </div>
 
                 <InputField
-                  label="Estado"
-                  name="park_state"
-                  value={formData.park_state}
+                  label="Código Postal"
+                  name="park_zip_code"
+                  value={formData.park_zip_code}
                   onChange={handleChange}
-                  error={errors.park_state}
-                  placeholder="Jalisco"
+                  error={errors.park_zip_code}
+                  inputMode="numeric"
+                  placeholder={zipPlaceholder}
+                />
+
+                <ZipSuggestion
+                  zip={formData.park_zip_code}
+                  city={formData.park_city}
+                  state={formData.park_state}
+                  warning={errors.park_zip_code ? null : warnings?.park_zip_code}
+                  onApply={applyZipSuggestion}
+                  onPickColonia={addColonia}
                 />
 
                 <div className="grid grid-cols-2 gap-4">
@@ -558,6 +469,17 @@ const ParkEditForm = () => {
                     placeholder="-103.3496"
                   />
                 </div>
+
+                <CoordinatePaste onApply={setCoordinates} />
+
+                <GeocodeActions formData={formData} onCoordinates={setCoordinates} onPlace={applyPlace} />
+
+                <MapPicker
+                  latitude={formData.park_latitude}
+                  longitude={formData.park_longitude}
+                  state={formData.park_state}
+                  onChange={setCoordinates}
+                />
               </div>
             </div>
 
@@ -0,0 +1,253 @@
+import { useCallback, useState } from "react";
+import { Crosshair, Loader2 } from "lucide-react";
+import Swal from "sweetalert2";
+import { GEOLOCATION_ERRORS } from "../geo/geolocation";
+import { parseCoordinates } from "../geo/parseCoordinates";
+import {
+  COMPLETENESS_OPTIONS, IMAGE_OPTIONS, IMAGE_TYPE_OPTIONS, RADIUS_OPTIONS, parseZipFilter
+} from "../utils/facets";
+import { useDebouncedInput } from "../hooks/useDebouncedInput";
+
+// Decimales al guardar "mi ubicación" en la URL (~1 m)
+const LOCATION_DECIMALS = 5;
+
+/** Casillas de un filtro de varias opciones, con el conteo de cada una */
+function FacetCheckboxes({ options, selected, counts, onChange }) {
+  const toggle = (option) =>
+    onChange(selected.includes(option) ? selected.filter((item) => item !== option) : [...selected, option]);
+
+  if (options.length === 0) return <p className="text-sm text-gray-400">Sin opciones</p>;
+
+  return (
+    <div className="max-h-48 overflow-y-auto space-y-1 pr-1">
+      {options.map((option) => {
+        const count = counts.get(option) ?? 0;
+        return (
+          <label
+            key={option}
+            className={`flex items-center justify-between text-sm cursor-pointer rounded-lg px-2 py-1 hover:bg-gray-50 ${
+              count === 0 && !selected.includes(option) ? 'text-gray-400' : 'text-gray-700'
+            }`}
+          >
+            <span className="flex items-center">
+              <input
+                type="checkbox"
+                checked={selected.includes(option)}
+                onChange={() => toggle(option)}
+                className="mr-2 rounded text-green-600 focus:ring-green-500"
+              />
+              {option}
+            </span>
+            <span className="text-xs text-gray-500">{count}</span>
+          </label>
+        );
+      })}
+    </div>
+  );
+}
+
+/** Botones de un filtro de una sola opción ("Todos" lo quita) */
+function FacetOptions({ options, value, counts, onChange, allLabel = 'Todos' }) {
+  const buttonClass = (active) => `px-3 py-1.5 text-sm rounded-lg border transition-all ${
+    active ? 'bg-green-600 border-green-600 text-white' : 'bg-white border-gray-200 text-gray-600 hover:bg-gray-50'
+  }`;
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      <button type="button" onClick={() => onChange('')} className={buttonClass(!value)}>
+        {allLabel}
+      </button>
+      {Object.entries(options).map(([option, label]) => (
+        <button
+          key={option}
+          type="button"
+          onClick={() => onChange(option)}
+          aria-pressed={value === option}
+          className={buttonClass(value === option)}
+        >
+          {label} <span className="opacity-75">({counts.get(option) ?? 0})</span>
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Panel de filtros de la lista. `params` son los valores de la URL (ver
+ * useListParams), `counts` los de countFacetOptions y `onChange(cambios,
+ * opciones)` los escribe en la URL. Con `partialOf` (parques cargados) los
+ * conteos se marcan como parciales mientras faltan páginas.
+ */
+export default function ParkFilters({ params, counts, cities, states, onChange, partialOf = null }) {
+  const [isLocating, setIsLocating] = useState(false);
+
+  // Código postal y punto se escriben: a la URL cuando se dejan de teclear,
+  // reemplazando la entrada del historial mientras se edita
+  const commitZip = useCallback((zip) => {
+    onChange({ zip: zip.trim() }, { replace: Boolean(params.zip) });
+  }, [onChange, params.zip]);
+  const [zipInput, setZipInput] = useDebouncedInput(params.zip, commitZip);
+
+  const commitNear = useCallback((near) => {
+    // Un punto a medio escribir no se aplica hasta que se entienda
+    if (near.trim() && !parseCoordinates(near)) return;
+    onChange({ near: near.trim() }, { replace: Boolean(params.near) });
+  }, [onChange, params.near]);
+  const [nearInput, setNearInput] = useDebouncedInput(params.near, commitNear);
+
+  const zipInvalid = zipInput.trim() !== '' && !parseZipFilter(zipInput);
+  const nearInvalid = nearInput.trim() !== '' && !parseCoordinates(nearInput);
+
+  const locateMe = () => {
+    if (!navigator.geolocation) {
+      Swal.fire({ icon: 'error', title: 'Ubicación no disponible', text: 'Tu navegador no permite obtener la ubicación', confirmButtonColor: '#16a34a' });
+      return;
+    }
+
+    setIsLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        setIsLocating(false);
+        onChange({
+          near: `${coords.latitude.toFixed(LOCATION_DECIMALS)},${coords.longitude.toFixed(LOCATION_DECIMALS)}`
+        });
+      },
+      (error) => {
+        setIsLocating(false);
+        Swal.fire({
+          icon: 'warning',
+          title: 'Sin ubicación',
+          text: GEOLOCATION_ERRORS[error.code] || error.message,
+          confirmButtonColor: '#16a34a'
+        });
+      },
+      { timeout: 10000, maximumAge: 60000 }
+    );
+  };
+
+  return (
+    <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3 mt-6 pt-6 border-t border-gray-100">
+      {partialOf !== null && (
+        <p className="md:col-span-2 lg:col-span-3 text-sm text-amber-600">
+          Conteos parciales: solo de los {partialOf} parques cargados hasta ahora
+        </p>
+      )}
+      <section>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">Ciudades</h3>
+        <FacetCheckboxes
+          options={cities}
+          selected={params.cities}
+          counts={counts.cities}
+          onChange={(value) => onChange({ cities: value })}
+        />
+      </section>
+
+      <section>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">Estados</h3>
+        <FacetCheckboxes
+          options={states}
+          selected={params.states}
+          counts={counts.states}
+          onChange={(value) => onChange({ states: value })}
+        />
+      </section>
+
+      <section className="space-y-4">
+        <div>
+          <label htmlFor="filter-zip" className="block text-sm font-semibold text-gray-700 mb-2">Código postal</label>
+          <input
+            id="filter-zip"
+            type="text"
+            inputMode="numeric"
+            placeholder="441 o 44100-44990"
+            value={zipInput}
+            onChange={(e) => setZipInput(e.target.value)}
+            className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500 ${
+              zipInvalid ? 'border-red-300' : 'border-gray-200'
+            }`}
+          />
+          <p className={`mt-1 text-xs ${zipInvalid ? 'text-red-600' : 'text-gray-500'}`}>
+            {zipInvalid ? 'Escribe un prefijo (441) o un rango (44100-44990)' : 'Prefijo o rango de códigos'}
+          </p>
+        </div>
+
+        <div>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">Datos</h3>
+          <FacetOptions
+            options={COMPLETENESS_OPTIONS}
+            value={params.completeness}
+            counts={counts.completeness}
+            onChange={(value) => onChange({ completeness: value })}
+          />
+        </div>
+      </section>
+
+      <section className="space-y-4">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">Imagen</h3>
+          <FacetOptions
+            options={IMAGE_OPTIONS}
+            value={params.image}
+            counts={counts.image}
+            onChange={(value) => onChange({ image: value })}
+            allLabel="Todas"
+          />
+        </div>
+        <div>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">Tipo de imagen</h3>
+          <FacetOptions
+            options={IMAGE_TYPE_OPTIONS}
+            value={params.imageType}
+            counts={counts.imageType}
+            onChange={(value) => onChange({ imageType: value })}
+            allLabel="Todas"
+          />
+        </div>
+      </section>
+
+      <section className="md:col-span-2">
+        <label htmlFor="filter-near" className="block text-sm font-semibold text-gray-700 mb-2">Cerca de un punto</label>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <input
+            id="filter-near"
+            type="text"
+            placeholder="20.6736, -103.344 o enlace de Google Maps"
+            value={nearInput}
+            onChange={(e) => setNearInput(e.target.value)}
+            className={`flex-1 px-3 py-2 border rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500 ${
+              nearInvalid ? 'border-red-300' : 'border-gray-200'
+            }`}
+          />
+          <button
+            type="button"
+            onClick={locateMe}
+            disabled={isLocating}
+            className="flex items-center justify-center px-3 py-2 text-sm border border-gray-200 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-60"
+          >
+            {isLocating ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Crosshair className="w-4 h-4 mr-1" />}
+            Mi ubicación
+          </button>
+          <select
+            value={params.radius}
+            onChange={(e) => onChange({ radius: e.target.value })}
+            disabled={!params.near}
+            aria-label="Distancia máxima"
+            className="px-3 py-2 border border-gray-200 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500 disabled:bg-gray-50"
+          >
+            {RADIUS_OPTIONS.map((km) => (
+              <option key={km} value={String(km)}>
+                A {km} km{params.near ? ` (${counts.radius.get(km) ?? 0})` : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+        {nearInvalid && (
+          <p className="mt-1 text-xs text-red-600">No se reconocen las coordenadas</p>
+        )}
+        {params.near && !nearInvalid && (
+          <p className="mt-1 text-xs text-gray-500">Los parques sin coordenadas quedan fuera</p>
+        )}
+      </section>
+    </div>
+  );
+}
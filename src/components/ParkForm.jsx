@@ -1,180 +1,144 @@
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { MapPin, Building, Save, ArrowLeft } from 'lucide-react';
+import React, { useEffect, useRef, useState } from 'react';
+import { useLocation, useNavigate, useSearchParams } from 'react-router-dom';
+import { MapPin, Building, Save, ArrowLeft, Copy } from 'lucide-react';
 import Swal from 'sweetalert2';
-import api from '../api/axios';
-
-// Hook personalizado para validaciones
-const useFormValidation = () => {
-  const [errors, setErrors] = useState({});
-  
-  const validationRules = {
-    park_name: (value) => {
-      if (!value.trim()) return 'El nombre es requerido';
-      if (value.length < 3) return 'Mínimo 3 caracteres';
-      if (value.length > 100) return 'Máximo 100 caracteres';
-      if (!/^[a-zA-ZáéíóúÁÉÍÓÚñÑ\s]+$/.test(value.trim())) return 'Solo letras y espacios';
-      return null;
-    },
-    park_abbreviation: (value) => {
-      if (!value.trim()) return 'La abreviación es requerida';
-      if (value.length < 2) return 'Mínimo 2 caracteres';
-      if (value.length > 10) return 'Máximo 10 caracteres';
-      if (!/^[a-zA-ZáéíóúÁÉÍÓÚñÑ]+$/.test(value.trim())) return 'Solo letras';
-      return null;
-    },
-    park_img_url: (value) => {
-      if (!value.trim()) return 'La URL es requerida';
-      if (!/^https?:\/\/.+\.(jpg|jpeg|png|webp)(\?.*)?$/i.test(value)) return 'URL inválida (.jpg, .jpeg, .png, .webp)';
-      return null;
-    },
-    park_address: (value) => {
-      if (!value.trim()) return 'La dirección es requerida';
-      if (value.length < 10) return 'Mínimo 10 caracteres';
-      if (value.length > 150) return 'Máximo 150 caracteres';
-      return null;
-    },
-    park_city: (value) => {
-      const validCities = ['Zapopan', 'Guadalajara', 'San Pedro Tlaquepaque', 'Tonalá'];
-      if (!value) return 'La ciudad es requerida';
-      if (!validCities.includes(value)) return 'Ciudad no válida';
-      return null;
-    },
-    park_zip_code: (value) => {
-      if (!value) return 'El código postal es requerido';
-      if (!/^4[4-5]\d{3}$/.test(value)) return 'Código inválido para Jalisco (44xxx o 45xxx)';
-      return null;
-    },
-    park_latitude: (value) => {
-      if (!value) return 'La latitud es requerida';
-      if (isNaN(value) || value < 20 || value > 21.5) return 'Latitud inválida para Jalisco (20-21.5)';
-      return null;
-    },
-    park_longitude: (value) => {
-      if (!value) return 'La longitud es requerida';
-      if (isNaN(value) || value < -105 || value > -102) return 'Longitud inválida para Jalisco (-105 a -102)';
-      return null;
-    }
-  };
-
-  const validate = (name, value) => {
-    const error = validationRules[name]?.(value);
-    setErrors(prev => ({ ...prev, [name]: error || undefined }));
-    return !error;
-  };
-
-  const validateAll = (formData) => {
-    const newErrors = {};
-    let isValid = true;
-    
-    Object.keys(formData).forEach(key => {
-      const error = validationRules[key]?.(formData[key]);
-      if (error) {
-        newErrors[key] = error;
-        isValid = false;
-      }
-    });
-    
-    setErrors(newErrors);
-    return isValid;
-  };
-
-  return { errors, validate, validateAll, setErrors };
-};
-
-// Componente de campo de entrada
-const InputField = ({ label, name, value, onChange, error, type = "text", placeholder, maxLength, required = true, options = null }) => (
-  <div>
-    <label className="block text-sm font-semibold text-gray-700 mb-2">
-      {label} {required && '*'}
-    </label>
-    
-    {options ? (
-      <select
-        name={name}
-        value={value}
-        onChange={onChange}
-        required={required}
-        className={`w-full px-4 py-3 border-2 rounded-xl transition-all duration-300 focus:ring-4 focus:ring-emerald-200 focus:border-emerald-500 ${
-          error ? 'border-red-300 bg-red-50' : 'border-gray-200'
-        }`}
-      >
-        <option value="">Seleccionar {label.toLowerCase()}</option>
-        {options.map(option => (
-          <option key={option} value={option}>{option}</option>
-        ))}
-      </select>
-    ) : (
-      <input
-        type={type}
-        name={name}
-        value={value}
-        onChange={onChange}
-        required={required}
-        maxLength={maxLength}
-        step={type === 'number' ? 'any' : undefined}
-        className={`w-full px-4 py-3 border-2 rounded-xl transition-all duration-300 focus:ring-4 focus:ring-emerald-200 focus:border-emerald-500 ${
-          error ? 'border-red-300 bg-red-50' : 'border-gray-200'
-        }`}
-        placeholder={placeholder}
-      />
-    )}
-    
-    {error && (
-      <p className="text-red-600 text-sm mt-1 flex items-center">
-        <span className="mr-1">⚠️</span> {error}
-      </p>
-    )}
-    
-    {maxLength && (
-      <p className="text-gray-500 text-xs mt-1">{value.length}/{maxLength} caracteres</p>
-    )}
-  </div>
-);
+import { serializePark } from '../api/parksService';
+import { createPark } from '../api/parkMutations';
+import { ParkConflictError, ParkNetworkError, ParkValidationError, getFieldErrors } from '../api/errors';
+import { useFormErrorFocus } from '../hooks/useFormErrorFocus';
+import { useFormValidation } from '../hooks/useFormValidation';
+import { useAbbreviationCheck } from '../hooks/useAbbreviationCheck';
+import { useImageCheck } from '../hooks/useImageCheck';
+import { useParkDetail, useParksList } from '../hooks/useParks';
+import { useFormDraft } from '../hooks/useFormDraft';
+import { useUnsavedChanges } from '../hooks/useUnsavedChanges';
+import { useParkFormFields } from '../hooks/useParkFormFields';
+import { PARK_SCHEMA, checkParkWarnings } from '../validation/parkSchema';
+import { EMPTY_PARK_FORM, cloneParkFormData } from '../validation/parkForm';
+import { findDuplicateParks } from '../validation/duplicates';
+import { STATE_NAMES, getMunicipalities } from '../data/regions';
+import InputField from './InputField';
+import AbbreviationHelper from './AbbreviationHelper';
+import MapPicker from './MapPicker';
+import CoordinatePaste from './CoordinatePaste';
+import GeocodeActions from './GeocodeActions';
+import ZipSuggestion from './ZipSuggestion';
+import ImageUpload from './ImageUpload';
+import ImagePreview from './ImagePreview';
+import { confirmBrokenImage, confirmDuplicates, confirmWarnings, showAlert, showServerErrors } from './parkFormDialogs';
 
 const ParkForm = () => {
   const navigate = useNavigate();
-  const { errors, validate, validateAll, setErrors } = useFormValidation();
+  const { errors, validate, validateAll, setServerErrors, resetErrors } = useFormValidation();
+  const { formRef, focusFirstError } = useFormErrorFocus();
   const [isSubmitting, setIsSubmitting] = useState(false);
-  
-  const [formData, setFormData] = useState({
-    park_name: '',
-    park_abbreviation: '',
-    park_img_url: '',
-    park_address: '',
-    park_city: '',
-    park_state: 'Jalisco',
-    park_zip_code: '',
-    park_latitude: '',
-    park_longitude: ''
+  const {
+    formData, setFormData, image, setImage, withImage, handleChange, handleImageChange,
+    applyZipSuggestion, setCoordinates, applyPlace, addColonia, warnings, zipPlaceholder
+  } = useParkFormFields({ validate });
+  // Parques ya cargados, para avisar de duplicados antes de crear
+  const { data: parks } = useParksList();
+
+  // Duplicar: el parque de origen llega en el estado de la ruta (desde la
+  // tarjeta o el detalle) o se carga con ?from=<id>
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+  const statePark = location.state?.park ?? null;
+  const fromId = searchParams.get('from') ?? (statePark ? String(statePark.id) : null);
+  const { data: fetchedSource, error: sourceError } = useParkDetail(statePark ? null : fromId);
+  const source = fromId ? statePark ?? fetchedSource ?? null : null;
+  // Valores de partida: vacío, o la copia en cuanto se tiene el origen
+  const [baseData, setBaseData] = useState(fromId ? null : EMPTY_PARK_FORM);
+  const copiedFromRef = useRef(null);
+
+  // Borrador en localStorage por si se sale sin guardar (uno por origen)
+  const { clearDraft } = useFormDraft({
+    key: fromId ? `copy:${fromId}` : 'new',
+    formData,
+    baseData: baseData ?? EMPTY_PARK_FORM,
+    ready: baseData !== null,
+    onRestore: setFormData
+  });
+  // Salir con cambios: guardar, descartar o seguir editando
+  const { allowNavigation } = useUnsavedChanges({
+    formData,
+    baseData: baseData ?? EMPTY_PARK_FORM,
+    enabled: baseData !== null,
+    otherChanges: image ? ['park_img'] : [],
+    onSave: (location) => handleSubmit(null, { redirectTo: location }),
+    onDiscard: clearDraft
+  });
+  const abbreviationCheck = useAbbreviationCheck({
+    abbreviation: formData.park_abbreviation,
+    name: formData.park_name,
+    parks: parks ?? []
   });
+  // La URL de imagen se carga en segundo plano para la vista previa
+  const imageCheck = useImageCheck(formData.park_img_url);
+
+  // Copiar el parque de origen una vez que se tiene (nombre y abreviación
+  // únicos entre los parques cargados)
+  useEffect(() => {
+    if (!fromId || copiedFromRef.current === fromId) return;
+
+    if (source) {
+      copiedFromRef.current = fromId;
+      const copy = cloneParkFormData(source, parks ?? []);
+      setFormData(copy);
+      setBaseData(copy);
+    } else if (sourceError) {
+      copiedFromRef.current = fromId;
+      setBaseData(EMPTY_PARK_FORM);
+      Swal.fire({
+        icon: 'warning',
+        title: 'No se pudo duplicar',
+        text: `No se encontró el parque #${fromId}; el formulario queda vacío`,
+        confirmButtonColor: '#10b981'
+      });
+    }
+  }, [fromId, source, sourceError, parks, setFormData]);
+
+  // Las coordenadas copiadas son las del otro parque hasta que se cambien
+  const coordinatesNeedReview = Boolean(source && baseData) &&
+    formData.park_latitude !== '' &&
+    formData.park_latitude === baseData.park_latitude &&
+    formData.park_longitude === baseData.park_longitude;
+
+  /**
+   * Valida, confirma y crea el parque; al terminar navega a `redirectTo`
+   * (la lista, o la ruta que se dejó pendiente al querer salir)
+   */
+  const handleSubmit = async (e, { redirectTo = '/' } = {}) => {
+    e?.preventDefault();
+    
+    const clientErrors = validateAll(withImage(formData));
+    if (clientErrors) {
+      const errorCount = Object.keys(clientErrors).length;
+      await showAlert('error', 'Formulario incompleto', `Corrige ${errorCount} campo(s) con errores`, { returnFocus: false });
+      return focusFirstError(clientErrors);
+    }
 
-  const handleChange = (e) => {
-    const { name, value } = e.target;
-    setFormData(prev => ({ ...prev, [name]: value }));
-    setTimeout(() => validate(name, value), 300);
-  };
+    // La revisión en vivo ya encontró otro parque con esa abreviación
+    if (abbreviationCheck.status === 'taken') {
+      await showAlert('error', 'Abreviación en uso', abbreviationCheck.error, { returnFocus: false });
+      return focusFirstError({ park_abbreviation: abbreviationCheck.error });
+    }
 
-  const showAlert = (type, title, text, options = {}) => {
-    return Swal.fire({
-      icon: type,
-      title,
-      text,
-      confirmButtonColor: '#10b981',
-      ...options
-    });
-  };
+    const submitWarnings = checkParkWarnings(formData);
+    if (submitWarnings) {
+      const proceed = await confirmWarnings(submitWarnings);
+      if (!proceed.isConfirmed) return focusFirstError(submitWarnings);
+    }
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
-    if (!navigator.onLine) {
-      return showAlert('warning', 'Sin conexión', 'Verifica tu conexión a internet');
+    if (imageCheck.status === 'error') {
+      const proceed = await confirmBrokenImage(imageCheck);
+      if (!proceed.isConfirmed) return focusFirstError({ park_img_url: imageCheck.error });
     }
 
-    if (!validateAll(formData)) {
-      const errorCount = Object.keys(errors).length;
-      return showAlert('error', 'Formulario incompleto', `Corrige ${errorCount} campo(s) con errores`);
+    const duplicates = findDuplicateParks(formData, parks ?? []);
+    if (duplicates.length > 0) {
+      const proceed = await confirmDuplicates(duplicates);
+      if (!proceed.isConfirmed) return;
     }
 
     const confirmed = await showAlert('question', '¿Crear parque?', `Nombre: ${formData.park_name}\nCiudad: ${formData.park_city}`, {
@@ -195,45 +159,48 @@ const ParkForm = () => {
     });
 
     try {
-      const dataToSend = {
-        ...formData,
-        park_name: formData.park_name.trim(),
-        park_abbreviation: formData.park_abbreviation.trim().toUpperCase(),
-        park_img_url: formData.park_img_url.trim(),
-        park_address: formData.park_address.trim(),
-        park_state: formData.park_state.trim(),
-        park_zip_code: parseInt(formData.park_zip_code),
-        park_latitude: parseFloat(formData.park_latitude),
-        park_longitude: parseFloat(formData.park_longitude)
-      };
-
-      await api.post('/parks', dataToSend, {
+      const payload = image ? { ...serializePark(formData), park_img: image.file } : serializePark(formData);
+      const { queued } = await createPark(payload, {
         headers: { 'Content-Type': 'application/json' },
         timeout: 15000
       });
 
-      await showAlert('success', '¡Éxito!', `${formData.park_name} creado correctamente`, {
-        timer: 2500,
-        showConfirmButton: false
-      });
+      if (queued) {
+        await showAlert('success', 'Guardado sin conexión', `${formData.park_name} se enviará al servidor cuando vuelva la conexión`, {
+          timer: 3000,
+          showConfirmButton: false
+        });
+      } else {
+        await showAlert('success', '¡Éxito!', `${formData.park_name} creado correctamente`, {
+          timer: 2500,
+          showConfirmButton: false
+        });
+      }
 
       // Reset form
-      setFormData({
-        park_name: '', park_abbreviation: '', park_img_url: '',
-        park_address: '', park_city: '', park_state: 'Jalisco',
-        park_zip_code: '', park_latitude: '', park_longitude: ''
-      });
-      setErrors({});
+      clearDraft();
+      setFormData(EMPTY_PARK_FORM);
+      setImage(null);
+      resetErrors();
       
-      navigate('/', { state: { refresh: true } });
+      allowNavigation();
+      navigate(redirectTo, { state: { refresh: true } });
 
     } catch (error) {
+      // 422 (y 409 con `errors`): cada mensaje va debajo de su campo
+      const fieldErrors = getFieldErrors(error);
+      if (Object.keys(fieldErrors).length > 0) {
+        setServerErrors(fieldErrors);
+        await showServerErrors(error, fieldErrors, { conflictTitle: 'Parque duplicado' });
+        return focusFirstError(fieldErrors);
+      }
+
       let message = 'Error desconocido';
       
-      if (error.response?.status === 422) message = 'Datos inválidos';
-      else if (error.response?.status === 409) message = 'Parque duplicado';
-      else if (error.response?.status === 500) message = 'Error del servidor';
-      else if (error.code === 'ECONNABORTED') message = 'Tiempo agotado';
+      if (error instanceof ParkValidationError) message = 'Datos inválidos';
+      else if (error instanceof ParkConflictError) message = 'Parque duplicado';
+      else if (error.status === 500) message = 'Error del servidor';
+      else if (error instanceof ParkNetworkError && error.isTimeout) message = 'Tiempo agotado';
 
       const retry = await showAlert('error', 'Error', message, {
         showCancelButton: true,
@@ -241,15 +208,13 @@ const ParkForm = () => {
         cancelButtonText: 'Cancelar'
       });
 
-      if (retry.isConfirmed) handleSubmit(e);
+      if (retry.isConfirmed) handleSubmit(e, { redirectTo });
       
     } finally {
       setIsSubmitting(false);
     }
   };
 
-  const cities = ['Zapopan', 'Guadalajara', 'San Pedro Tlaquepaque', 'Tonalá'];
-
   return (
     <div className="min-h-screen bg-gradient-to-br from-emerald-50 to-teal-50 p-4">
       <div className="max-w-4xl mx-auto">
@@ -270,16 +235,18 @@ const ParkForm = () => {
           {/* Title */}
           <div className="bg-gradient-to-r from-emerald-600 to-teal-600 p-6">
             <div className="flex items-center space-x-4">
-              <MapPin className="w-8 h-8 text-white" />
+              {source ? <Copy className="w-8 h-8 text-white" /> : <MapPin className="w-8 h-8 text-white" />}
               <div>
                 <h1 className="text-2xl font-bold text-white">Crear Nuevo Parque</h1>
-                <p className="text-emerald-100">Complete la información del parque</p>
+                <p className="text-emerald-100">
+                  {source ? `Copia de ${source.park_name}: revisa nombre, abreviación y coordenadas` : 'Complete la información del parque'}
+                </p>
               </div>
             </div>
           </div>
 
           {/* Form */}
-          <form onSubmit={handleSubmit} className="p-6">
+          <form ref={formRef} onSubmit={handleSubmit} noValidate className="p-6">
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               
               {/* Información Básica */}
@@ -296,7 +263,7 @@ const ParkForm = () => {
                   onChange={handleChange}
                   error={errors.park_name}
                   placeholder="Ej: Parque Metropolitano"
-                  maxLength={100}
+                  maxLength={PARK_SCHEMA.park_name.maxLength}
                 />
 
                 <InputField
@@ -304,9 +271,15 @@ const ParkForm = () => {
                   name="park_abbreviation"
                   value={formData.park_abbreviation}
                   onChange={handleChange}
-                  error={errors.park_abbreviation}
+                  error={errors.park_abbreviation || abbreviationCheck.error}
                   placeholder="Ej: PM"
-                  maxLength={10}
+                  maxLength={PARK_SCHEMA.park_abbreviation.maxLength}
+                />
+
+                <AbbreviationHelper
+                  check={abbreviationCheck}
+                  value={formData.park_abbreviation}
+                  onPick={(value) => handleChange({ target: { name: 'park_abbreviation', value } })}
                 />
 
                 <InputField
@@ -316,8 +289,13 @@ const ParkForm = () => {
                   onChange={handleChange}
                   error={errors.park_img_url}
                   type="url"
-                  placeholder="https://ejemplo.com/imagen.jpg"
+                  required={!image}
+                  placeholder={image ? 'Opcional si subes una imagen' : 'https://ejemplo.com/imagen.jpg'}
                 />
+
+                <ImagePreview check={imageCheck} />
+
+                <ImageUpload image={image} onChange={handleImageChange} />
               </div>
 
               {/* Ubicación */}
@@ -334,39 +312,56 @@ const ParkForm = () => {
                   onChange={handleChange}
                   error={errors.park_address}
                   placeholder="Av. Alcalde 1351, Col. Miraflores"
-                  maxLength={150}
+                  maxLength={PARK_SCHEMA.park_address.maxLength}
                 />
 
+                {/* Selects dependientes: las ciudades salen del estado elegido */}
                 <div className="grid grid-cols-2 gap-4">
                   <InputField
-                    label="Ciudad"
-                    name="park_city"
-                    value={formData.park_city}
+                    label="Estado"
+                    name="park_state"
+                    value={formData.park_state}
                     onChange={handleChange}
-                    error={errors.park_city}
-                    options={cities}
+                    error={errors.park_state}
+                    options={STATE_NAMES}
                   />
 
                   <InputField
-                    label="Código Postal"
-                    name="park_zip_code"
-                    value={formData.park_zip_code}
+                    label="Ciudad"
+                    name="park_city"
+                    value={formData.park_city}
                     onChange={handleChange}
-                    error={errors.park_zip_code}
-                    type="number"
-                    placeholder="44100"
+                    error={errors.park_city}
+                    options={getMunicipalities(formData.park_state)}
                   />
                 </div>
 
                 <InputField
-                  label="Estado"
-                  name="park_state"
-                  value={formData.park_state}
+                  label="Código Postal"
+                  name="park_zip_code"
+                  value={formData.park_zip_code}
                   onChange={handleChange}
-                  error={errors.park_state}
-                  placeholder="Jalisco"
+                  error={errors.park_zip_code}
+                  inputMode="numeric"
+                  placeholder={zipPlaceholder}
                 />
 
+                <ZipSuggestion
+                  zip={formData.park_zip_code}
+                  city={formData.park_city}
+                  state={formData.park_state}
+                  warning={errors.park_zip_code ? null : warnings?.park_zip_code}
+                  onApply={applyZipSuggestion}
+                  onPickColonia={addColonia}
+                />
+
+                {coordinatesNeedReview && (
+                  <p className="flex items-start p-3 text-sm bg-amber-50 border border-amber-200 rounded-lg text-amber-800">
+                    <Copy className="w-4 h-4 mr-2 mt-0.5 shrink-0" />
+                    Coordenadas copiadas de {source.park_name}: muévelas a la ubicación del nuevo parque.
+                  </p>
+                )}
+
                 <div className="grid grid-cols-2 gap-4">
                   <InputField
                     label="Latitud"
@@ -388,6 +383,17 @@ const ParkForm = () => {
                     placeholder="-103.3496"
                   />
                 </div>
+
+                <CoordinatePaste onApply={setCoordinates} />
+
+                <GeocodeActions formData={formData} onCoordinates={setCoordinates} onPlace={applyPlace} />
+
+                <MapPicker
+                  latitude={formData.park_latitude}
+                  longitude={formData.park_longitude}
+                  state={formData.park_state}
+                  onChange={setCoordinates}
+                />
               </div>
             </div>
 
@@ -1,49 +1,126 @@
-import { useState, useMemo } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { Link } from "react-router-dom";
-import { Plus, Search, Filter, Grid, List, MapPin } from "lucide-react";
+import { Plus, Search, Filter, Grid, List, MapPin, Edit, RefreshCw } from "lucide-react";
 import ParkCard from "./ParkCard";
+import LoadMore from "./LoadMore";
+import Highlight from "./Highlight";
+import ParkFilters from "./ParkFilters";
+import { CLEARED_LIST_PARAMS, LIST_PARAMS, useListParams } from "../hooks/useListParams";
+import { useDebouncedInput } from "../hooks/useDebouncedInput";
+import { createSearchIndex, searchIndex, toQueryWords } from "../utils/search";
+import {
+  countActiveFacets, countFacetOptions, getParkFacetValues, matchesFacets, prepareFacetFilters
+} from "../utils/facets";
 
-export default function ParkList({ parks, onParksUpdate }) {
-  const [viewMode, setViewMode] = useState('grid'); // 'grid' o 'list'
-  const [searchTerm, setSearchTerm] = useState('');
-  const [filterCity, setFilterCity] = useState('');
-  const [sortBy, setSortBy] = useState('name'); // 'name', 'city', 'recent'
+// Sin estos campos la tarjeta no se puede mostrar bien
+const isIncompletePark = (park) => !park.id || !park.park_name || !park.park_city || !park.park_state;
 
-  // Obtener ciudades únicas para el filtro
+// Campos de la búsqueda; el nombre pesa más que la ubicación
+const PARK_SEARCH_FIELDS = [
+  { key: 'park_name', weight: 1 },
+  { key: 'park_abbreviation', weight: 0.9 },
+  { key: 'park_city', weight: 0.7 },
+  { key: 'park_state', weight: 0.5 },
+  { key: 'park_address', weight: 0.4 }
+];
+
+// Espera tras la última tecla antes de llevar la búsqueda a la URL
+const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * Lista con búsqueda y filtros sobre los parques ya cargados. Búsqueda,
+ * filtros, orden y modo de vista se guardan en la URL (ver useListParams).
+ * Con `pagination` (ver useParksList) muestra el total del servidor y
+ * carga más páginas con scroll infinito (todas, si hay búsqueda o filtros);
+ * con `onRefresh` ofrece recargar.
+ */
+export default function ParkList({
+  parks, onParksUpdate, pagination = null, onLoadMore, isLoadingMore = false, loadMoreError = null,
+  onRefresh, isRefreshing = false, updatedAt = null
+}) {
+  const [listParams, setListParams] = useListParams();
+  const { searchTerm, sortBy, viewMode } = listParams;
+
+  // El campo de búsqueda responde al instante y la URL se actualiza con
+  // retraso; una búsqueda en curso reemplaza su entrada del historial en
+  // vez de crear una por tecla
+  const commitSearch = useCallback((term) => {
+    setListParams({ searchTerm: term }, { replace: Boolean(searchTerm) });
+  }, [setListParams, searchTerm]);
+  const [searchInput, setSearchInput] = useDebouncedInput(searchTerm, commitSearch, SEARCH_DEBOUNCE_MS);
+
+  const totalParks = pagination?.total ?? parks.length;
+  // El retraso de la animación se reinicia en cada página
+  const pageSize = pagination?.perPage || parks.length || 1;
+
+  // Ciudades y estados para los filtros. Los de la URL aún no cargados
+  // (otra página) siguen en la lista para poder quitarlos
   const cities = useMemo(() => {
-    const uniqueCities = [...new Set(parks.map(park => park.park_city))].filter(Boolean);
-    return uniqueCities.sort();
-  }, [parks]);
+    const uniqueCities = new Set([...parks.map(park => park.park_city), ...listParams.cities]);
+    return [...uniqueCities].filter(Boolean).sort();
+  }, [parks, listParams.cities]);
 
-  // Filtrar y ordenar parques
-  const filteredAndSortedParks = useMemo(() => {
-    let filtered = parks.filter(park => {
-      const matchesSearch = !searchTerm || 
-        park.park_name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        park.park_city?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        park.park_state?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        park.park_address?.toLowerCase().includes(searchTerm.toLowerCase());
-      
-      const matchesCity = !filterCity || park.park_city === filterCity;
-      
-      return matchesSearch && matchesCity;
-    });
+  const states = useMemo(() => {
+    const uniqueStates = new Set([...parks.map(park => park.park_state), ...listParams.states]);
+    return [...uniqueStates].filter(Boolean).sort();
+  }, [parks, listParams.states]);
 
-    // Ordenar
-    filtered.sort((a, b) => {
-      switch (sortBy) {
-        case 'city':
-          return (a.park_city || '').localeCompare(b.park_city || '');
-        case 'recent':
-          return (b.id || 0) - (a.id || 0); // Asumiendo que ID mayor = más reciente
-        case 'name':
-        default:
-          return (a.park_name || '').localeCompare(b.park_name || '');
-      }
-    });
+  // Valores de cada parque para los filtros, calculados una vez por lista
+  const facetValues = useMemo(() => new Map(parks.map((park) => [park, getParkFacetValues(park)])), [parks]);
+  const facetFilters = useMemo(() => prepareFacetFilters(listParams), [listParams]);
+  const activeFacets = countActiveFacets(facetFilters);
+  const [showFilters, setShowFilters] = useState(activeFacets > 0);
 
-    return filtered;
-  }, [parks, searchTerm, filterCity, sortBy]);
+  // Índice de búsqueda sin acentos y tolerante a errores (utils/search.js);
+  // se reconstruye solo cuando cambian los parques cargados
+  const parkIndex = useMemo(() => createSearchIndex(parks, PARK_SEARCH_FIELDS), [parks]);
+  const isSearching = toQueryWords(searchTerm).length > 0;
+  // Sin búsqueda no hay relevancia: se ordena por nombre
+  const activeSort = sortBy === 'relevance' && !isSearching ? 'name' : sortBy;
+
+  // Búsqueda, filtros y conteos solo ven los parques cargados: mientras se
+  // usen se traen las páginas que faltan, y hasta entonces son parciales
+  const needsAllParks = isSearching || activeFacets > 0 || showFilters;
+  const hasMorePages = Boolean(pagination?.hasMore);
+  const currentPage = pagination?.currentPage ?? 0;
+  const isPartial = needsAllParks && hasMorePages;
+  const autoLoadedPageRef = useRef(null);
+  useEffect(() => {
+    if (!needsAllParks || !hasMorePages || isLoadingMore || loadMoreError || !onLoadMore) return;
+    // Si la página no avanzó (el servidor ignoró `page`) no se vuelve a pedir
+    if (autoLoadedPageRef.current === currentPage) return;
+    autoLoadedPageRef.current = currentPage;
+    onLoadMore();
+  }, [needsAllParks, hasMorePages, currentPage, isLoadingMore, loadMoreError, onLoadMore]);
+
+  // Filtrar y ordenar parques; `highlights` guarda qué resaltar de cada uno
+  // y `facetCounts` cuántos quedan con cada opción de los filtros
+  const { filteredAndSortedParks, highlights, facetCounts } = useMemo(() => {
+    const found = searchIndex(parkIndex, searchTerm);
+    const counts = countFacetOptions(found.map(({ item }) => facetValues.get(item)), facetFilters);
+    const results = found.filter(({ item }) => matchesFacets(facetValues.get(item), facetFilters));
+
+    // Ordenar (los resultados ya vienen por relevancia)
+    if (activeSort !== 'relevance') {
+      results.sort(({ item: a }, { item: b }) => {
+        switch (activeSort) {
+          case 'city':
+            return (a.park_city || '').localeCompare(b.park_city || '');
+          case 'recent':
+            return (b.id || 0) - (a.id || 0); // Asumiendo que ID mayor = más reciente
+          case 'name':
+          default:
+            return (a.park_name || '').localeCompare(b.park_name || '');
+        }
+      });
+    }
+
+    return {
+      filteredAndSortedParks: results.map(({ item }) => item),
+      highlights: new Map(results.map(({ item, highlights: ranges }) => [item.id, ranges])),
+      facetCounts: counts
+    };
+  }, [parkIndex, facetValues, searchTerm, facetFilters, activeSort]);
 
   /**
    * Maneja la eliminación de un parque
@@ -59,9 +136,8 @@ export default function ParkList({ parks, onParksUpdate }) {
    * Limpiar todos los filtros
    */
   const clearFilters = () => {
-    setSearchTerm('');
-    setFilterCity('');
-    setSortBy('name');
+    setSearchInput('');
+    setListParams(CLEARED_LIST_PARAMS);
   };
 
   return (
@@ -71,21 +147,49 @@ export default function ParkList({ parks, onParksUpdate }) {
       <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-8 space-y-4 sm:space-y-0">
         <div>
           <h1 className="text-3xl font-bold text-gray-900 mb-2">
-            Parques de Jalisco
+            Parques
           </h1>
           <p className="text-gray-600">
-            {filteredAndSortedParks.length} de {parks.length} parque{parks.length !== 1 ? 's' : ''}
-            {searchTerm || filterCity ? ' (filtrado)' : ''}
+            {filteredAndSortedParks.length} de {totalParks} parque{totalParks !== 1 ? 's' : ''}
+            {isSearching || activeFacets > 0 ? ' (filtrado)' : ''}
+            {isPartial && (
+              <span className="ml-3 inline-flex items-center text-sm text-amber-600">
+                {isLoadingMore && (
+                  <span className="w-3 h-3 mr-1 rounded-full border-2 border-amber-300 border-t-amber-600 animate-spin"></span>
+                )}
+                Solo entre los {parks.length} parques cargados
+              </span>
+            )}
+            {/* Revalidación en segundo plano: la lista en caché sigue visible */}
+            {isRefreshing && (
+              <span className="ml-3 inline-flex items-center text-sm text-green-600">
+                <span className="w-3 h-3 mr-1 rounded-full border-2 border-green-300 border-t-green-600 animate-spin"></span>
+                Actualizando...
+              </span>
+            )}
           </p>
         </div>
         
-        <Link
-          to="/parks/new"
-          className="flex items-center space-x-2 bg-green-600 hover:bg-green-700 text-white px-6 py-3 rounded-xl transition-all duration-200 hover:scale-105 shadow-lg hover:shadow-xl"
-        >
-          <Plus className="w-5 h-5" />
-          <span className="font-medium">Agregar Parque</span>
-        </Link>
+        <div className="flex items-center gap-3">
+          {onRefresh && (
+            <button
+              type="button"
+              onClick={onRefresh}
+              disabled={isRefreshing}
+              className="flex items-center space-x-2 bg-white border border-gray-200 hover:bg-gray-50 text-gray-700 px-4 py-3 rounded-xl transition-all duration-200 disabled:opacity-60"
+            >
+              <RefreshCw className={`w-5 h-5 ${isRefreshing ? 'animate-spin' : ''}`} />
+              <span className="font-medium">Actualizar</span>
+            </button>
+          )}
+          <Link
+            to="/parks/new"
+            className="flex items-center space-x-2 bg-green-600 hover:bg-green-700 text-white px-6 py-3 rounded-xl transition-all duration-200 hover:scale-105 shadow-lg hover:shadow-xl"
+          >
+            <Plus className="w-5 h-5" />
+            <span className="font-medium">Agregar Parque</span>
+          </Link>
+        </div>
       </div>
 
       {/* Controles de búsqueda y filtros */}
@@ -98,33 +202,37 @@ export default function ParkList({ parks, onParksUpdate }) {
             <input
               type="text"
               placeholder="Buscar por nombre, ciudad, estado o dirección..."
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
               className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-green-500 focus:border-green-500 transition-all"
             />
           </div>
 
-          {/* Filtro por ciudad */}
-          <div className="relative">
-            <Filter className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
-            <select
-              value={filterCity}
-              onChange={(e) => setFilterCity(e.target.value)}
-              className="pl-10 pr-8 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-green-500 focus:border-green-500 transition-all min-w-[200px] appearance-none bg-white"
-            >
-              <option value="">Todas las ciudades</option>
-              {cities.map(city => (
-                <option key={city} value={city}>{city}</option>
-              ))}
-            </select>
-          </div>
+          {/* Panel de filtros */}
+          <button
+            type="button"
+            onClick={() => setShowFilters((open) => !open)}
+            aria-expanded={showFilters}
+            className={`flex items-center justify-center space-x-2 px-4 py-3 border rounded-xl transition-all ${
+              showFilters || activeFacets > 0
+                ? 'border-green-500 text-green-700 bg-green-50'
+                : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+            }`}
+          >
+            <Filter className="w-5 h-5" />
+            <span>Filtros</span>
+            {activeFacets > 0 && (
+              <span className="bg-green-600 text-white text-xs font-bold rounded-full px-2 py-0.5">{activeFacets}</span>
+            )}
+          </button>
 
           {/* Ordenar */}
           <select
-            value={sortBy}
-            onChange={(e) => setSortBy(e.target.value)}
+            value={activeSort}
+            onChange={(e) => setListParams({ sortBy: e.target.value })}
             className="px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-green-500 focus:border-green-500 transition-all min-w-[150px]"
           >
+            {isSearching && <option value="relevance">Más relevantes</option>}
             <option value="name">Por nombre</option>
             <option value="city">Por ciudad</option>
             <option value="recent">Más recientes</option>
@@ -133,7 +241,7 @@ export default function ParkList({ parks, onParksUpdate }) {
           {/* Modo de vista */}
           <div className="flex border border-gray-200 rounded-xl overflow-hidden">
             <button
-              onClick={() => setViewMode('grid')}
+              onClick={() => setListParams({ viewMode: 'grid' })}
               className={`p-3 transition-all ${
                 viewMode === 'grid' 
                   ? 'bg-green-600 text-white' 
@@ -144,7 +252,7 @@ export default function ParkList({ parks, onParksUpdate }) {
               <Grid className="w-5 h-5" />
             </button>
             <button
-              onClick={() => setViewMode('list')}
+              onClick={() => setListParams({ viewMode: 'list' })}
               className={`p-3 transition-all ${
                 viewMode === 'list' 
                   ? 'bg-green-600 text-white' 
@@ -157,7 +265,7 @@ export default function ParkList({ parks, onParksUpdate }) {
           </div>
 
           {/* Limpiar filtros */}
-          {(searchTerm || filterCity || sortBy !== 'name') && (
+          {(searchInput || activeFacets > 0 || sortBy !== LIST_PARAMS.sortBy.defaultValue) && (
             <button
               onClick={clearFilters}
               className="px-4 py-3 text-gray-600 hover:text-gray-800 hover:bg-gray-50 rounded-xl transition-all whitespace-nowrap"
@@ -166,6 +274,17 @@ export default function ParkList({ parks, onParksUpdate }) {
             </button>
           )}
         </div>
+
+        {showFilters && (
+          <ParkFilters
+            params={listParams}
+            counts={facetCounts}
+            partialOf={isPartial ? parks.length : null}
+            cities={cities}
+            states={states}
+            onChange={setListParams}
+          />
+        )}
       </div>
 
       {/* Contenido principal */}
@@ -179,12 +298,20 @@ export default function ParkList({ parks, onParksUpdate }) {
                   key={park.id}
                   className="animate-fadeIn"
                   style={{
-                    animationDelay: `${index * 100}ms`,
+                    animationDelay: `${(index % pageSize) * 100}ms`,
                     animationDuration: '600ms',
                     animationFillMode: 'both'
                   }}
                 >
-                  <ParkCard park={park} onParkDeleted={handleParkDeleted} />
+                  {isIncompletePark(park) ? (
+                    <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 shadow-sm">
+                      <h3 className="text-yellow-800 font-medium">⚠️ Datos incompletos</h3>
+                      <p className="text-yellow-600 text-sm">{park.park_name || 'Parque sin nombre'}</p>
+                      <p className="text-yellow-500 text-xs mt-1">Algunos datos están faltando</p>
+                    </div>
+                  ) : (
+                    <ParkCard park={park} onParkDeleted={handleParkDeleted} highlights={highlights.get(park.id)} />
+                  )}
                 </div>
               ))}
             </div>
@@ -198,25 +325,32 @@ export default function ParkList({ parks, onParksUpdate }) {
                   key={park.id}
                   className="bg-white rounded-2xl shadow-sm border border-gray-100 p-6 hover:shadow-md transition-all duration-200 animate-fadeIn"
                   style={{
-                    animationDelay: `${index * 50}ms`,
+                    animationDelay: `${(index % pageSize) * 50}ms`,
                     animationDuration: '400ms',
                     animationFillMode: 'both'
                   }}
                 >
                   <div className="flex items-center justify-between">
                     <div className="flex-1">
-                      <h3 className="text-xl font-bold text-gray-900 mb-2">{park.park_name}</h3>
+                      <h3 className="text-xl font-bold text-gray-900 mb-2">
+                        <Highlight text={park.park_name} ranges={highlights.get(park.id)?.park_name} />
+                      </h3>
                       <div className="flex items-center text-gray-600 mb-2">
                         <MapPin className="w-4 h-4 mr-1 text-green-600" />
-                        <span>{park.park_city}, {park.park_state}</span>
+                        <span>
+                          <Highlight text={park.park_city} ranges={highlights.get(park.id)?.park_city} />,{' '}
+                          <Highlight text={park.park_state} ranges={highlights.get(park.id)?.park_state} />
+                        </span>
                         {park.park_abbreviation && (
                           <span className="ml-3 bg-green-100 text-green-800 text-xs font-medium px-2 py-1 rounded-full">
-                            {park.park_abbreviation}
+                            <Highlight text={park.park_abbreviation} ranges={highlights.get(park.id)?.park_abbreviation} />
                           </span>
                         )}
                       </div>
                       {park.park_address && (
-                        <p className="text-gray-500 text-sm">{park.park_address}</p>
+                        <p className="text-gray-500 text-sm">
+                          <Highlight text={park.park_address} ranges={highlights.get(park.id)?.park_address} />
+                        </p>
                       )}
                     </div>
                     
@@ -263,6 +397,16 @@ export default function ParkList({ parks, onParksUpdate }) {
                 <Plus className="w-5 h-5" />
                 <span>Agregar Primer Parque</span>
               </Link>
+              {onRefresh && (
+                <button
+                  type="button"
+                  onClick={onRefresh}
+                  className="ml-3 inline-flex items-center space-x-2 bg-white border border-gray-200 hover:bg-gray-50 text-gray-700 px-6 py-3 rounded-xl transition-all duration-200"
+                >
+                  <RefreshCw className="w-5 h-5" />
+                  <span>Recargar</span>
+                </button>
+              )}
             </>
           ) : (
             <>
@@ -270,7 +414,9 @@ export default function ParkList({ parks, onParksUpdate }) {
                 No se encontraron parques
               </h3>
               <p className="text-gray-600 mb-8">
-                No hay parques que coincidan con los filtros aplicados
+                {isPartial
+                  ? `Ninguno de los ${parks.length} parques cargados coincide; aún faltan páginas por revisar`
+                  : 'No hay parques que coincidan con los filtros aplicados'}
               </p>
               <button
                 onClick={clearFilters}
@@ -283,13 +429,25 @@ export default function ParkList({ parks, onParksUpdate }) {
         </div>
       )}
 
+      {/* Siguiente página del servidor */}
+      {pagination && parks.length > 0 && (
+        <LoadMore
+          loaded={parks.length}
+          total={pagination.total}
+          hasMore={pagination.hasMore}
+          isLoading={isLoadingMore}
+          error={loadMoreError}
+          onLoadMore={onLoadMore}
+        />
+      )}
+
       {/* Información adicional */}
       {filteredAndSortedParks.length > 0 && (
         <div className="mt-12 text-center text-gray-500 text-sm">
           <p>
-            Total: {parks.length} parque{parks.length !== 1 ? 's' : ''} • 
-            Mostrando: {filteredAndSortedParks.length} • 
-            Última actualización: {new Date().toLocaleTimeString()}
+            Total: {totalParks} parque{totalParks !== 1 ? 's' : ''} • 
+            Mostrando: {filteredAndSortedParks.length}
+            {updatedAt && <> • Última actualización: {new Date(updatedAt).toLocaleTimeString()}</>}
           </p>
         </div>
       )}
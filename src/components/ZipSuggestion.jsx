@@ -0,0 +1,63 @@
+import { MapPin, AlertTriangle } from "lucide-react";
+import { lookupZip } from "../data/zipCodes";
+import { formatValidationError } from "../validation/messages";
+
+/**
+ * Debajo del código postal: municipio, estado y colonias que el catálogo
+ * sin conexión asocia al código, y la advertencia si no coincide con la
+ * ciudad elegida. `onApply` recibe `{ city, state }`; `onPickColonia`, el
+ * nombre de la colonia.
+ */
+export default function ZipSuggestion({ zip, city, state, warning, onApply, onPickColonia }) {
+  const entry = lookupZip(zip);
+  if (!entry && !warning) return null;
+
+  const matchesSelection = entry && entry.city === city && entry.state === state;
+
+  return (
+    <div className="-mt-2 space-y-2 text-sm">
+      {warning && (
+        <p className="flex items-start text-amber-700 bg-amber-50 border border-amber-200 rounded-lg px-3 py-2">
+          <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+          {formatValidationError(warning)}
+        </p>
+      )}
+
+      {entry && (
+        <div className="bg-gray-50 rounded-lg px-3 py-2">
+          <div className="flex items-center justify-between gap-2">
+            <span className="flex items-center text-gray-700">
+              <MapPin className="w-4 h-4 mr-1 text-emerald-600" />
+              {entry.city}, {entry.state}
+            </span>
+            {!matchesSelection && (
+              <button
+                type="button"
+                onClick={() => onApply({ city: entry.city, state: entry.state })}
+                className="text-emerald-700 font-medium hover:underline"
+              >
+                Usar esta ciudad
+              </button>
+            )}
+          </div>
+
+          {entry.colonias.length > 0 && (
+            <div className="flex flex-wrap gap-2 mt-2">
+              {entry.colonias.map((colonia) => (
+                <button
+                  key={colonia}
+                  type="button"
+                  onClick={() => onPickColonia(colonia)}
+                  title="Agregar a la dirección"
+                  className="px-2 py-1 text-xs bg-white border border-gray-200 rounded-full text-gray-600 hover:border-emerald-400 hover:text-emerald-700 transition-colors"
+                >
+                  Col. {colonia}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
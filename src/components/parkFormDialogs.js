@@ -0,0 +1,121 @@
+// components/parkFormDialogs.js
+// Diálogos de SweetAlert que comparten ParkForm y ParkEditForm. Todo texto
+// que viene del usuario o del servidor se escapa antes de ir al html.
+import Swal from 'sweetalert2';
+import { ParkConflictError } from '../api/errors';
+import { formatValidationError } from '../validation/messages';
+import { escapeHtml } from '../utils/text';
+
+export const showAlert = (type, title, text, options = {}) => {
+  return Swal.fire({
+    icon: type,
+    title,
+    text,
+    confirmButtonColor: '#10b981',
+    ...options
+  });
+};
+
+/**
+ * Advertencias antes de enviar (p. ej. código postal de otro municipio):
+ * el usuario puede corregir o guardar de todos modos
+ */
+export const confirmWarnings = (fieldWarnings) => {
+  return Swal.fire({
+    icon: 'warning',
+    title: 'Revisa antes de guardar',
+    html: `
+      <ul class="text-left text-sm list-disc pl-5 space-y-1">
+        ${Object.values(fieldWarnings).map((warning) => `<li>${formatValidationError(warning)}</li>`).join('')}
+      </ul>
+    `,
+    showCancelButton: true,
+    confirmButtonText: 'Guardar de todos modos',
+    cancelButtonText: 'Corregir',
+    confirmButtonColor: '#10b981',
+    returnFocus: false
+  });
+};
+
+const describeReason = (reason) => {
+  if (reason.type === 'name') return `Nombre parecido (${Math.round(reason.similarity * 100)}%)`;
+  if (reason.type === 'address') return 'Misma dirección';
+  return reason.km < 1 ? `A ${Math.round(reason.km * 1000)} m` : `A ${reason.km.toFixed(1)} km`;
+};
+
+/**
+ * Parques que podrían ser el mismo (ver findDuplicateParks): enlaces a su
+ * detalle (en otra pestaña, para no perder el formulario) y opción de
+ * crear de todos modos
+ */
+export const confirmDuplicates = (duplicates) => {
+  return Swal.fire({
+    icon: 'warning',
+    title: '¿Parque duplicado?',
+    html: `
+      <div class="text-left text-sm">
+        <p class="mb-3">Se parece${duplicates.length > 1 ? 'n' : ''} a ${duplicates.length} parque(s) existente(s):</p>
+        <ul class="space-y-2 max-h-60 overflow-y-auto">
+          ${duplicates.slice(0, 5).map(({ park, reasons }) => `
+            <li class="p-2 bg-gray-50 rounded">
+              <a href="/parks/${encodeURIComponent(park.id)}" target="_blank" rel="noopener" class="font-semibold text-emerald-700 hover:underline">${escapeHtml(park.park_name)}</a>
+              <p class="text-gray-500">${escapeHtml(park.park_address)}</p>
+              <p class="text-amber-700">${reasons.map(describeReason).join(' · ')}</p>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `,
+    showCancelButton: true,
+    confirmButtonText: 'Crear de todos modos',
+    cancelButtonText: 'Cancelar',
+    confirmButtonColor: '#10b981',
+    cancelButtonColor: '#ef4444'
+  });
+};
+
+/**
+ * La URL de imagen no carga (`imageCheck` de useImageCheck): guardar así
+ * requiere confirmarlo
+ */
+export const confirmBrokenImage = (imageCheck) => {
+  return Swal.fire({
+    icon: 'warning',
+    title: 'La imagen no carga',
+    html: `
+      <div class="text-left text-sm">
+        <p class="mb-2">${escapeHtml(imageCheck.error)}</p>
+        <p class="text-gray-500 break-all">${escapeHtml(imageCheck.url)}</p>
+        <p class="mt-2">La tarjeta del parque mostrará la imagen por defecto.</p>
+      </div>
+    `,
+    showCancelButton: true,
+    confirmButtonText: 'Guardar sin imagen válida',
+    cancelButtonText: 'Corregir',
+    confirmButtonColor: '#ef4444',
+    returnFocus: false
+  });
+};
+
+/**
+ * Resumen de los errores por campo que devolvió el servidor; un 409 usa
+ * `conflictTitle` (al crear, casi siempre es un parque duplicado)
+ */
+export const showServerErrors = (error, fieldErrors, { conflictTitle = 'Conflicto de datos' } = {}) => {
+  return Swal.fire({
+    icon: 'error',
+    title: error instanceof ParkConflictError ? conflictTitle : 'Datos inválidos',
+    html: `
+      <div class="text-left text-sm">
+        <p class="mb-2">El servidor rechazó ${Object.keys(fieldErrors).length} campo(s):</p>
+        <ul class="list-disc pl-5 space-y-1">
+          ${Object.values(fieldErrors).map((message) => `<li>${escapeHtml(message)}</li>`).join('')}
+        </ul>
+      </div>
+    `,
+    confirmButtonText: 'Corregir',
+    confirmButtonColor: '#10b981',
+    // El foco va al primer campo con error, no al botón de envío
+    returnFocus: false
+  });
+};
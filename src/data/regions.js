@@ -0,0 +1,86 @@
+// data/regions.js
+// Catálogo de regiones donde opera el sistema: cada estado con sus
+// municipios, rangos de código postal y límites geográficos. Para sumar
+// una zona metropolitana basta con agregarla aquí; los formularios, el
+// esquema (validation/parkSchema.js) y el mock del API lo leen de este archivo.
+//
+// Rangos de código postal inclusivos `[desde, hasta]`; límites en grados
+// decimales `{ north, south, east, west }`.
+
+// Con extensión: el mock de la API (Node) también importa este archivo
+import { normalizeText as normalize } from '../utils/text.js';
+
+export const REGIONS = [
+  {
+    code: 'JAL',
+    name: 'Jalisco',
+    zipRanges: [[44000, 49999]],
+    bounds: { north: 22.75, south: 18.9, east: -101.5, west: -105.7 },
+    municipalities: [
+      { name: 'Guadalajara', zipRanges: [[44100, 44990]] },
+      { name: 'Zapopan', zipRanges: [[45000, 45245]] },
+      { name: 'San Pedro Tlaquepaque', zipRanges: [[45500, 45639]] },
+      { name: 'Tonalá', zipRanges: [[45400, 45429]] },
+      { name: 'Tlajomulco de Zúñiga', zipRanges: [[45640, 45679]] },
+      { name: 'El Salto', zipRanges: [[45680, 45699]] }
+    ]
+  },
+  {
+    code: 'NLE',
+    name: 'Nuevo León',
+    zipRanges: [[64000, 67999]],
+    bounds: { north: 27.8, south: 23.15, east: -98.4, west: -101.25 },
+    municipalities: [
+      { name: 'Monterrey', zipRanges: [[64000, 64999]] },
+      { name: 'San Pedro Garza García', zipRanges: [[66200, 66299]] },
+      { name: 'Guadalupe', zipRanges: [[67100, 67299]] },
+      { name: 'San Nicolás de los Garza', zipRanges: [[66400, 66499]] },
+      { name: 'Apodaca', zipRanges: [[66600, 66649]] },
+      { name: 'Santa Catarina', zipRanges: [[66100, 66199]] }
+    ]
+  },
+  {
+    code: 'CMX',
+    name: 'Ciudad de México',
+    zipRanges: [[1000, 16999]],
+    bounds: { north: 19.6, south: 19.05, east: -98.94, west: -99.37 },
+    municipalities: [
+      { name: 'Álvaro Obregón', zipRanges: [[1000, 1999]] },
+      { name: 'Benito Juárez', zipRanges: [[3000, 3999]] },
+      { name: 'Coyoacán', zipRanges: [[4000, 4999]] },
+      { name: 'Cuauhtémoc', zipRanges: [[6000, 6999]] },
+      { name: 'Miguel Hidalgo', zipRanges: [[11000, 11999]] },
+      { name: 'Tlalpan', zipRanges: [[14000, 14999]] }
+    ]
+  }
+];
+
+export const STATE_NAMES = REGIONS.map((region) => region.name);
+
+export const ALL_MUNICIPALITIES = REGIONS.flatMap((region) => region.municipalities.map((municipality) => municipality.name));
+
+export const findState = (name) => REGIONS.find((region) => normalize(region.name) === normalize(name)) ?? null;
+
+export const findMunicipality = (stateName, cityName) =>
+  findState(stateName)?.municipalities.find((municipality) => normalize(municipality.name) === normalize(cityName)) ?? null;
+
+/** Municipios del estado, o todos si el estado no está en el catálogo */
+export const getMunicipalities = (stateName) =>
+  findState(stateName)?.municipalities.map((municipality) => municipality.name) ?? ALL_MUNICIPALITIES;
+
+export const isZipInRanges = (zip, ranges) => ranges.some(([from, to]) => zip >= from && zip <= to);
+
+// CDMX usa códigos que empiezan en 0: 1000 se muestra como 01000
+export const formatZip = (zip) => String(zip).padStart(5, '0');
+
+export const describeZipRanges = (ranges) =>
+  ranges.map(([from, to]) => `${formatZip(from)}–${formatZip(to)}`).join(', ');
+
+/**
+ * Rangos de código postal para el municipio (si se eligió) o el estado
+ */
+export const getZipRanges = (stateName, cityName) => {
+  const municipality = findMunicipality(stateName, cityName);
+  if (municipality) return municipality.zipRanges;
+  return findState(stateName)?.zipRanges ?? null;
+};
@@ -0,0 +1,136 @@
+// data/zipCodes.js
+// Catálogo de códigos postales sin conexión, con el formato del catálogo
+// de SEPOMEX (una fila por asentamiento). Es un extracto para los municipios
+// de data/regions.js; para ampliarlo se agregan filas del archivo oficial
+// (d_codigo, d_asenta, d_tipo_asenta, D_mnpio, d_estado).
+import { findMunicipality, getMunicipalities, isZipInRanges, findState } from './regions';
+
+// d_codigo, d_asenta, d_tipo_asenta, D_mnpio, d_estado
+const SETTLEMENTS = [
+  // Guadalajara
+  ['44100', 'Guadalajara Centro', 'Colonia', 'Guadalajara', 'Jalisco'],
+  ['44130', 'Arcos Vallarta', 'Colonia', 'Guadalajara', 'Jalisco'],
+  ['44150', 'Lafayette', 'Colonia', 'Guadalajara', 'Jalisco'],
+  ['44160', 'Americana', 'Colonia', 'Guadalajara', 'Jalisco'],
+  ['44180', 'Mexicaltzingo', 'Colonia', 'Guadalajara', 'Jalisco'],
+  ['44190', 'Moderna', 'Colonia', 'Guadalajara', 'Jalisco'],
+  ['44270', 'Miraflores', 'Colonia', 'Guadalajara', 'Jalisco'],
+  ['44500', 'Chapalita', 'Colonia', 'Guadalajara', 'Jalisco'],
+  ['44520', 'Jardines del Bosque', 'Colonia', 'Guadalajara', 'Jalisco'],
+  ['44600', 'Ladrón de Guevara', 'Colonia', 'Guadalajara', 'Jalisco'],
+  ['44600', 'Santa Teresita', 'Colonia', 'Guadalajara', 'Jalisco'],
+  ['44610', 'Country Club', 'Colonia', 'Guadalajara', 'Jalisco'],
+  ['44630', 'Providencia', 'Colonia', 'Guadalajara', 'Jalisco'],
+  ['44630', 'Colomos Providencia', 'Colonia', 'Guadalajara', 'Jalisco'],
+  ['44700', 'Oblatos', 'Colonia', 'Guadalajara', 'Jalisco'],
+  // Zapopan
+  ['45010', 'Ciudad Granja', 'Colonia', 'Zapopan', 'Jalisco'],
+  ['45019', 'Valle Real', 'Fraccionamiento', 'Zapopan', 'Jalisco'],
+  ['45030', 'La Estancia', 'Colonia', 'Zapopan', 'Jalisco'],
+  ['45050', 'Ciudad del Sol', 'Colonia', 'Zapopan', 'Jalisco'],
+  ['45100', 'Zapopan Centro', 'Colonia', 'Zapopan', 'Jalisco'],
+  ['45110', 'Jardines Universidad', 'Colonia', 'Zapopan', 'Jalisco'],
+  ['45116', 'Puerta de Hierro', 'Colonia', 'Zapopan', 'Jalisco'],
+  ['45130', 'Arcos de Zapopan', 'Colonia', 'Zapopan', 'Jalisco'],
+  ['45238', 'Bugambilias', 'Fraccionamiento', 'Zapopan', 'Jalisco'],
+  // San Pedro Tlaquepaque
+  ['45500', 'Tlaquepaque Centro', 'Colonia', 'San Pedro Tlaquepaque', 'Jalisco'],
+  ['45559', 'Lomas de Tlaquepaque', 'Colonia', 'San Pedro Tlaquepaque', 'Jalisco'],
+  ['45580', 'Las Juntas', 'Colonia', 'San Pedro Tlaquepaque', 'Jalisco'],
+  ['45601', 'Santa María Tequepexpan', 'Colonia', 'San Pedro Tlaquepaque', 'Jalisco'],
+  // Tonalá
+  ['45400', 'Tonalá Centro', 'Colonia', 'Tonalá', 'Jalisco'],
+  ['45410', 'Loma Dorada', 'Fraccionamiento', 'Tonalá', 'Jalisco'],
+  ['45425', 'Jauja', 'Colonia', 'Tonalá', 'Jalisco'],
+  // Tlajomulco de Zúñiga
+  ['45640', 'Tlajomulco de Zúñiga Centro', 'Colonia', 'Tlajomulco de Zúñiga', 'Jalisco'],
+  ['45645', 'Santa Fe', 'Fraccionamiento', 'Tlajomulco de Zúñiga', 'Jalisco'],
+  // El Salto
+  ['45680', 'El Salto Centro', 'Colonia', 'El Salto', 'Jalisco'],
+  ['45690', 'Las Pintas', 'Colonia', 'El Salto', 'Jalisco'],
+  // Monterrey
+  ['64000', 'Monterrey Centro', 'Colonia', 'Monterrey', 'Nuevo León'],
+  ['64060', 'Obispado', 'Colonia', 'Monterrey', 'Nuevo León'],
+  ['64700', 'Tecnológico', 'Colonia', 'Monterrey', 'Nuevo León'],
+  ['64710', 'Roma', 'Colonia', 'Monterrey', 'Nuevo León'],
+  // San Pedro Garza García
+  ['66220', 'Del Valle', 'Colonia', 'San Pedro Garza García', 'Nuevo León'],
+  ['66260', 'Fuentes del Valle', 'Colonia', 'San Pedro Garza García', 'Nuevo León'],
+  // Guadalupe
+  ['67100', 'Guadalupe Centro', 'Colonia', 'Guadalupe', 'Nuevo León'],
+  ['67110', 'Contry', 'Colonia', 'Guadalupe', 'Nuevo León'],
+  // San Nicolás de los Garza
+  ['66400', 'San Nicolás Centro', 'Colonia', 'San Nicolás de los Garza', 'Nuevo León'],
+  ['66450', 'Anáhuac', 'Colonia', 'San Nicolás de los Garza', 'Nuevo León'],
+  // Apodaca
+  ['66600', 'Apodaca Centro', 'Colonia', 'Apodaca', 'Nuevo León'],
+  // Santa Catarina
+  ['66100', 'Santa Catarina Centro', 'Colonia', 'Santa Catarina', 'Nuevo León'],
+  // Álvaro Obregón
+  ['01000', 'San Ángel', 'Colonia', 'Álvaro Obregón', 'Ciudad de México'],
+  ['01030', 'Florida', 'Colonia', 'Álvaro Obregón', 'Ciudad de México'],
+  // Benito Juárez
+  ['03100', 'Del Valle Centro', 'Colonia', 'Benito Juárez', 'Ciudad de México'],
+  ['03810', 'Nápoles', 'Colonia', 'Benito Juárez', 'Ciudad de México'],
+  // Coyoacán
+  ['04000', 'Villa Coyoacán', 'Colonia', 'Coyoacán', 'Ciudad de México'],
+  ['04100', 'Del Carmen', 'Colonia', 'Coyoacán', 'Ciudad de México'],
+  ['04510', 'Ciudad Universitaria', 'Colonia', 'Coyoacán', 'Ciudad de México'],
+  // Cuauhtémoc
+  ['06000', 'Centro', 'Colonia', 'Cuauhtémoc', 'Ciudad de México'],
+  ['06600', 'Juárez', 'Colonia', 'Cuauhtémoc', 'Ciudad de México'],
+  ['06700', 'Roma Norte', 'Colonia', 'Cuauhtémoc', 'Ciudad de México'],
+  ['06140', 'Condesa', 'Colonia', 'Cuauhtémoc', 'Ciudad de México'],
+  // Miguel Hidalgo
+  ['11000', 'Lomas de Chapultepec', 'Colonia', 'Miguel Hidalgo', 'Ciudad de México'],
+  ['11560', 'Polanco', 'Colonia', 'Miguel Hidalgo', 'Ciudad de México'],
+  // Tlalpan
+  ['14000', 'Tlalpan Centro', 'Colonia', 'Tlalpan', 'Ciudad de México']
+];
+
+let index = null;
+
+// Índice código -> { zip, city, state, colonias }, construido al primer uso
+const getIndex = () => {
+  if (index) return index;
+  index = new Map();
+  SETTLEMENTS.forEach(([zip, settlement, , municipality, state]) => {
+    if (!index.has(zip)) index.set(zip, { zip, city: municipality, state, colonias: [] });
+    index.get(zip).colonias.push(settlement);
+  });
+  return index;
+};
+
+/** "4630" o 4630 -> "04630"; null si no son 5 dígitos */
+export const normalizeZip = (value) => {
+  const digits = String(value ?? '').trim();
+  if (!/^\d{4,5}$/.test(digits)) return null;
+  return digits.padStart(5, '0');
+};
+
+/**
+ * Municipio, estado y colonias del código postal, o null si no está en
+ * el catálogo
+ */
+export const lookupZip = (value) => {
+  const zip = normalizeZip(value);
+  return zip ? getIndex().get(zip) ?? null : null;
+};
+
+/**
+ * Municipio al que pertenece el código según el catálogo o, si no está,
+ * según los rangos de data/regions.js. null si no se puede saber.
+ */
+export const findZipMunicipality = (value, stateName) => {
+  const entry = lookupZip(value);
+  if (entry) return { city: entry.city, state: entry.state, colonias: entry.colonias };
+
+  const zip = normalizeZip(value);
+  const state = findState(stateName);
+  if (!zip || !state) return null;
+
+  const city = getMunicipalities(state.name).find((name) =>
+    isZipInRanges(Number(zip), findMunicipality(state.name, name).zipRanges)
+  );
+  return city ? { city, state: state.name, colonias: [] } : null;
+};
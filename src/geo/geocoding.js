@@ -0,0 +1,187 @@
+// geo/geocoding.js
+// Geocodificación (dirección -> coordenadas) e inversa (coordenadas ->
+// dirección) con proveedores intercambiables. Un proveedor es un objeto:
+//
+//   {
+//     name,
+//     search(query, { signal })             -> Promise<Place[]>
+//     reverse({ latitude, longitude }, { signal }) -> Promise<Place | null>
+//   }
+//
+//   Place = { label, latitude, longitude, street, colonia, city, state, zip }
+//
+// `city` y `state` se devuelven con el nombre del catálogo de regiones
+// cuando se reconocen. Se elige con VITE_GEOCODER (nominatim | local) y las
+// respuestas se guardan en queryCache, así que repetir una búsqueda no
+// vuelve a consultar al proveedor.
+
+import axios from 'axios';
+import { queryCache } from '../api/queryCache';
+import { isCanceledError } from '../api/errors';
+import { findMunicipality, findState } from '../data/regions';
+import { normalizeText } from '../utils/text';
+import { haversineKm } from './distance';
+import { GEOCODING_FIXTURES } from './geocodingFixtures';
+
+/** El proveedor no respondió o respondió con error */
+export class GeocodingError extends Error {
+  constructor(message = 'No se pudo consultar el servicio de mapas', { cause = null } = {}) {
+    super(message);
+    this.name = 'GeocodingError';
+    this.cause = cause;
+  }
+}
+
+// Las búsquedas repetidas dentro de este tiempo salen de la caché
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Nombre del municipio según el catálogo, probando los candidatos en orden
+const matchMunicipality = (stateName, candidates) => {
+  for (const candidate of candidates) {
+    const municipality = candidate && findMunicipality(stateName, candidate);
+    if (municipality) return municipality.name;
+  }
+  return candidates.find(Boolean) ?? '';
+};
+
+/**
+ * Proveedor compatible con la API de Nominatim (OpenStreetMap o una
+ * instancia propia). Respetar su política de uso: una petición por
+ * segundo y solo a pedido del usuario.
+ */
+export const createNominatimProvider = ({
+  baseUrl = 'https://nominatim.openstreetmap.org',
+  countryCodes = 'mx',
+  language = 'es'
+} = {}) => {
+  const client = axios.create({ baseURL: baseUrl, timeout: 10000, headers: { Accept: 'application/json' } });
+
+  const toPlace = (item) => {
+    const address = item.address ?? {};
+    const state = findState(address.state)?.name ?? address.state ?? '';
+    const street = [address.road, address.house_number].filter(Boolean).join(' ');
+
+    return {
+      label: item.display_name,
+      latitude: parseFloat(item.lat),
+      longitude: parseFloat(item.lon),
+      street,
+      colonia: address.neighbourhood || address.suburb || address.quarter || '',
+      // En CDMX el municipio es la alcaldía (borough / city_district)
+      city: matchMunicipality(state, [address.city, address.town, address.municipality, address.borough, address.city_district, address.county]),
+      state,
+      zip: address.postcode ?? ''
+    };
+  };
+
+  return {
+    name: 'nominatim',
+
+    async search(query, { signal } = {}) {
+      const { data } = await client.get('/search', {
+        params: { q: query, format: 'jsonv2', addressdetails: 1, limit: 5, countrycodes: countryCodes, 'accept-language': language },
+        signal
+      });
+      return data.map(toPlace);
+    },
+
+    async reverse({ latitude, longitude }, { signal } = {}) {
+      const { data } = await client.get('/reverse', {
+        params: { lat: latitude, lon: longitude, format: 'jsonv2', addressdetails: 1, zoom: 18, 'accept-language': language },
+        signal
+      });
+      return data && !data.error ? toPlace(data) : null;
+    }
+  };
+};
+
+/**
+ * Proveedor local sobre una lista de lugares (ver ./geocodingFixtures.js).
+ * Busca por palabras sin importar acentos y, en la inversa, devuelve el
+ * lugar más cercano dentro de `maxDistanceKm`.
+ */
+export const createFixtureProvider = (places = GEOCODING_FIXTURES, { maxDistanceKm = 2 } = {}) => {
+  const toPlace = (place) => ({
+    ...place,
+    label: [place.label, place.street, place.colonia, place.city, place.state].filter(Boolean).join(', ')
+  });
+
+  const indexed = places.map((place) => ({
+    place,
+    text: normalizeText([place.label, place.street, place.colonia, place.city, place.state, place.zip].join(' '))
+  }));
+
+  return {
+    name: 'local',
+
+    async search(query) {
+      const words = normalizeText(query).split(/[\s,]+/).filter((word) => word.length > 1);
+      if (words.length === 0) return [];
+
+      return indexed
+        .map(({ place, text }) => ({ place, score: words.filter((word) => text.includes(word)).length / words.length }))
+        .filter(({ score }) => score >= 0.5)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 5)
+        .map(({ place }) => toPlace(place));
+    },
+
+    async reverse(point) {
+      let nearest = null;
+      places.forEach((place) => {
+        const distance = haversineKm(point, place);
+        if (distance <= maxDistanceKm && (!nearest || distance < nearest.distance)) nearest = { place, distance };
+      });
+      return nearest ? toPlace(nearest.place) : null;
+    }
+  };
+};
+
+/** Proveedor configurado con VITE_GEOCODER (por defecto Nominatim) */
+export const createGeocoder = (setting = import.meta.env.VITE_GEOCODER) => {
+  if (setting === 'local') return createFixtureProvider();
+  return createNominatimProvider({ baseUrl: import.meta.env.VITE_NOMINATIM_URL || undefined });
+};
+
+let defaultProvider = null;
+
+const getProvider = () => {
+  if (!defaultProvider) defaultProvider = createGeocoder();
+  return defaultProvider;
+};
+
+// Consulta con caché: respuestas recientes salen de queryCache y las
+// consultas idénticas en curso se unen a la misma petición
+const cached = async (key, request) => {
+  const entry = queryCache.get(key);
+  if (entry && Date.now() - entry.updatedAt < CACHE_TTL_MS) return entry.data;
+
+  const { promise, release } = queryCache.fetch(key, request);
+  try {
+    return await promise;
+  } catch (error) {
+    if (isCanceledError(error)) throw error;
+    throw new GeocodingError(undefined, { cause: error });
+  } finally {
+    release();
+  }
+};
+
+/**
+ * Lugares que coinciden con la dirección. Devuelve [] si no hay
+ * resultados; lanza GeocodingError si el proveedor falla.
+ */
+export const geocodeAddress = (query, provider = getProvider()) => {
+  const text = String(query ?? '').trim();
+  if (!text) return Promise.resolve([]);
+  return cached(`geocode:${provider.name}:search:${normalizeText(text)}`, ({ signal }) => provider.search(text, { signal }));
+};
+
+/**
+ * Dirección sugerida para un punto, o null si el proveedor no conoce
+ * ninguna. Las coordenadas se redondean a ~10 m para aprovechar la caché.
+ */
+export const reverseGeocode = ({ latitude, longitude }, provider = getProvider()) => {
+  const point = { latitude: Number(latitude.toFixed(4)), longitude: Number(longitude.toFixed(4)) };
+  return cached(`geocode:${provider.name}:reverse:${point.latitude},${point.longitude}`, ({ signal }) => provider.reverse(point, { signal }));
+};
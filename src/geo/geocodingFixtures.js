@@ -0,0 +1,107 @@
+// geo/geocodingFixtures.js
+// Lugares conocidos para el geocodificador local (VITE_GEOCODER=local):
+// sirve sin conexión, en desarrollo con el mock de la API y en demos.
+// Coordenadas aproximadas; agregar aquí los lugares que se necesiten.
+
+export const GEOCODING_FIXTURES = [
+  {
+    label: 'Parque Metropolitano de Guadalajara',
+    street: 'Av. Beethoven 5800',
+    colonia: 'La Estancia',
+    city: 'Zapopan',
+    state: 'Jalisco',
+    zip: '45030',
+    latitude: 20.6706,
+    longitude: -103.442
+  },
+  {
+    label: 'Bosque Los Colomos',
+    street: 'El Chaco 3200',
+    colonia: 'Colomos Providencia',
+    city: 'Guadalajara',
+    state: 'Jalisco',
+    zip: '44630',
+    latitude: 20.7048,
+    longitude: -103.3936
+  },
+  {
+    label: 'Parque Alcalde',
+    street: 'Calz. Independencia Norte 1',
+    colonia: 'Miraflores',
+    city: 'Guadalajara',
+    state: 'Jalisco',
+    zip: '44270',
+    latitude: 20.6925,
+    longitude: -103.3484
+  },
+  {
+    label: 'Parque Revolución',
+    street: 'Av. Juárez 1000',
+    colonia: 'Guadalajara Centro',
+    city: 'Guadalajara',
+    state: 'Jalisco',
+    zip: '44100',
+    latitude: 20.674,
+    longitude: -103.3577
+  },
+  {
+    label: 'Parque Agua Azul',
+    street: 'Calz. Independencia Sur 973',
+    colonia: 'Mexicaltzingo',
+    city: 'Guadalajara',
+    state: 'Jalisco',
+    zip: '44180',
+    latitude: 20.6619,
+    longitude: -103.3496
+  },
+  {
+    label: 'Parque Fundidora',
+    street: 'Av. Fundidora 501',
+    colonia: 'Obispado',
+    city: 'Monterrey',
+    state: 'Nuevo León',
+    zip: '64000',
+    latitude: 25.6787,
+    longitude: -100.2847
+  },
+  {
+    label: 'Parque Rufino Tamayo',
+    street: 'Av. Gómez Morín 100',
+    colonia: 'Del Valle',
+    city: 'San Pedro Garza García',
+    state: 'Nuevo León',
+    zip: '66220',
+    latitude: 25.654,
+    longitude: -100.3585
+  },
+  {
+    label: 'Viveros de Coyoacán',
+    street: 'Av. Universidad s/n',
+    colonia: 'Del Carmen',
+    city: 'Coyoacán',
+    state: 'Ciudad de México',
+    zip: '04100',
+    latitude: 19.3536,
+    longitude: -99.1707
+  },
+  {
+    label: 'Parque México',
+    street: 'Av. México 51',
+    colonia: 'Condesa',
+    city: 'Cuauhtémoc',
+    state: 'Ciudad de México',
+    zip: '06140',
+    latitude: 19.4118,
+    longitude: -99.1694
+  },
+  {
+    label: 'Bosque de Chapultepec',
+    street: 'Paseo de la Reforma s/n',
+    colonia: 'Lomas de Chapultepec',
+    city: 'Miguel Hidalgo',
+    state: 'Ciudad de México',
+    zip: '11000',
+    latitude: 19.4204,
+    longitude: -99.1819
+  }
+];
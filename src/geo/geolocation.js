@@ -0,0 +1,8 @@
+// geo/geolocation.js
+
+// Mensajes para los códigos de error de navigator.geolocation
+export const GEOLOCATION_ERRORS = {
+  1: 'Permiso de ubicación denegado',
+  2: 'No se pudo determinar tu ubicación',
+  3: 'La ubicación tardó demasiado'
+};
@@ -0,0 +1,153 @@
+// geo/parseCoordinates.js
+// Reconoce coordenadas pegadas desde cualquier lado:
+//   20.6736, -103.3472            pares decimales (coma, punto y coma o espacio)
+//   20.6736 N 103.3472 W          decimales con hemisferio
+//   20°40'34"N 103°20'50"W        grados, minutos y segundos (también 20°40.5'N)
+//   https://www.google.com/maps/...   @lat,lng  ?q=lat,lng  !3dlat!4dlng
+//   https://www.openstreetmap.org/... #map=z/lat/lng  ?mlat=..&mlon=..
+//   geo:20.67,-103.34             URI geo (RFC 5870), incluido geo:0,0?q=lat,lng
+//
+// Los hemisferios aceptan también "O" (oeste).
+
+const NUMBER = '[-+]?\\d+(?:\\.\\d+)?';
+
+// Seis decimales, como el resto de la app
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+const isLatitude = (value) => Number.isFinite(value) && Math.abs(value) <= 90;
+const isLongitude = (value) => Number.isFinite(value) && Math.abs(value) <= 180;
+
+const result = (latitude, longitude, format) => {
+  if (!isLatitude(latitude) || !isLongitude(longitude)) return null;
+  return { latitude, longitude, format };
+};
+
+const applyHemisphere = (value, hemisphere) =>
+  hemisphere && /[SWO]/i.test(hemisphere) ? -Math.abs(value) : value;
+
+// "lat,lng" (o "lat lng"); acepta el orden invertido si la latitud no cabe
+const parsePair = (text, format) => {
+  const match = new RegExp(`^\\s*(${NUMBER})\\s*°?\\s*([NS])?\\s*[,;\\s]\\s*(${NUMBER})\\s*°?\\s*([EWO])?\\s*$`, 'i').exec(text);
+  if (!match) return null;
+
+  const first = applyHemisphere(parseFloat(match[1]), match[2]);
+  const second = applyHemisphere(parseFloat(match[3]), match[4]);
+  if (!isLatitude(first) && isLatitude(second) && !match[2] && !match[4]) return result(second, first, format);
+  return result(first, second, format);
+};
+
+const DMS_BODY =
+  `(${NUMBER})\\s*[°º]\\s*` +
+  `(?:(\\d+(?:\\.\\d+)?)\\s*['′’]\\s*)?` +
+  `(?:(\\d+(?:\\.\\d+)?)\\s*(?:"|″|”|'')\\s*)?`;
+
+// Hemisferio antes ("N 20°40'") o después ("20°40'N") de cada valor
+const DMS_PREFIXED = new RegExp(`([NSEWO])\\s*${DMS_BODY}()`, 'gi');
+const DMS_SUFFIXED = new RegExp(`()${DMS_BODY}([NSEWO](?![a-z]))?`, 'gi');
+
+const parseDms = (text) => {
+  const pattern = /^[NSEWO]\s*[-+]?\d/i.test(text) ? DMS_PREFIXED : DMS_SUFFIXED;
+  const parts = [...text.matchAll(pattern)];
+  if (parts.length !== 2) return null;
+
+  const values = parts.map(([, before, degrees, minutes = 0, seconds = 0, after]) => {
+    const hemisphere = (before || after || '').toUpperCase();
+    const magnitude = Math.abs(parseFloat(degrees)) + parseFloat(minutes) / 60 + parseFloat(seconds) / 3600;
+    const negative = parseFloat(degrees) < 0 || /[SWO]/.test(hemisphere);
+    return { value: negative ? -magnitude : magnitude, axis: /[NS]/.test(hemisphere) ? 'lat' : /[EWO]/.test(hemisphere) ? 'lng' : null };
+  });
+
+  // Con hemisferio, el eje lo dice la letra; sin él, el orden (lat, lng)
+  const [a, b] = values;
+  if (a.axis === 'lng' || b.axis === 'lat') return result(round(b.value), round(a.value), 'dms');
+  return result(round(a.value), round(b.value), 'dms');
+};
+
+const parseGeoUri = (text) => {
+  const match = /^geo:([^?;]+)(?:;[^?]*)?(?:\?(.*))?$/i.exec(text.trim());
+  if (!match) return null;
+
+  // Android usa geo:0,0?q=lat,lng(etiqueta) para marcar un punto
+  const query = new URLSearchParams(match[2] || '').get('q');
+  const fromQuery = query && parsePair(query.replace(/\(.*\)$/, ''), 'geo');
+  if (fromQuery && (fromQuery.latitude !== 0 || fromQuery.longitude !== 0)) return fromQuery;
+
+  const [latitude, longitude] = match[1].split(',').map(parseFloat);
+  return result(latitude, longitude, 'geo');
+};
+
+// Un "%" suelto ("parque+100%+verde") no es un escape válido: entonces se
+// busca sobre el enlace tal cual en vez de lanzar URIError
+const decodeHref = (url) => {
+  try {
+    return decodeURIComponent(url.href);
+  } catch {
+    return url.href;
+  }
+};
+
+const parseGoogleUrl = (url) => {
+  const href = decodeHref(url);
+
+  // !3d y !4d son el punto del lugar; @ es el centro de la vista
+  const place = new RegExp(`!3d(${NUMBER})!4d(${NUMBER})`).exec(href);
+  if (place) return result(parseFloat(place[1]), parseFloat(place[2]), 'google');
+
+  for (const key of ['q', 'query', 'll', 'destination', 'center']) {
+    const value = url.searchParams.get(key);
+    const parsed = value && parsePair(value, 'google');
+    if (parsed) return parsed;
+  }
+
+  const view = new RegExp(`@(${NUMBER}),(${NUMBER})`).exec(href);
+  if (view) return result(parseFloat(view[1]), parseFloat(view[2]), 'google');
+
+  // /maps/place/20.67,-103.34 o /maps/search/20.67,+-103.34
+  const path = new RegExp(`/(?:place|search|dir)/(${NUMBER}),\\s*\\+?(${NUMBER})`).exec(href);
+  return path ? result(parseFloat(path[1]), parseFloat(path[2]), 'google') : null;
+};
+
+const parseOsmUrl = (url) => {
+  const mlat = url.searchParams.get('mlat');
+  const mlon = url.searchParams.get('mlon');
+  if (mlat && mlon) return result(parseFloat(mlat), parseFloat(mlon), 'osm');
+
+  const map = new RegExp(`map=\\d+(?:\\.\\d+)?/(${NUMBER})/(${NUMBER})`).exec(url.hash || url.search);
+  return map ? result(parseFloat(map[1]), parseFloat(map[2]), 'osm') : null;
+};
+
+const parseUrl = (text) => {
+  let url;
+  try {
+    url = new URL(text.trim());
+  } catch {
+    return null;
+  }
+
+  if (/(^|\.)google\.[a-z.]+$/i.test(url.hostname) || /^maps\.app\.goo\.gl$/i.test(url.hostname)) return parseGoogleUrl(url);
+  if (/(^|\.)openstreetmap\.org$/i.test(url.hostname) || /(^|\.)osm\.org$/i.test(url.hostname)) return parseOsmUrl(url);
+  return parseGoogleUrl(url) || parseOsmUrl(url);
+};
+
+export const COORDINATE_FORMATS = {
+  decimal: 'Decimal',
+  dms: 'Grados, minutos y segundos',
+  google: 'Enlace de Google Maps',
+  osm: 'Enlace de OpenStreetMap',
+  geo: 'URI geo:'
+};
+
+/**
+ * Coordenadas en cualquiera de los formatos de arriba. Devuelve
+ * `{ latitude, longitude, format }` o null si no se reconocen o están
+ * fuera de rango.
+ */
+export const parseCoordinates = (input) => {
+  const text = String(input ?? '').trim();
+  if (!text) return null;
+
+  if (/^geo:/i.test(text)) return parseGeoUri(text);
+  if (/^https?:\/\//i.test(text)) return parseUrl(text);
+  if (/[°º]/.test(text)) return parseDms(text);
+  return parsePair(text, 'decimal');
+};
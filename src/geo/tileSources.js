@@ -0,0 +1,39 @@
+// geo/tileSources.js
+// Fuentes de mosaicos del mapa. Por defecto OpenStreetMap; para trabajar
+// sin conexión se copian los mosaicos a public/tiles/{z}/{x}/{y}.png y se
+// define VITE_MAP_TILES=local. VITE_MAP_TILES también acepta una plantilla
+// de URL propia (`https://mi-servidor/{z}/{x}/{y}.png`).
+
+export const TILE_SOURCES = {
+  osm: {
+    url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>',
+    maxZoom: 19
+  },
+  local: {
+    url: '/tiles/{z}/{x}/{y}.png',
+    attribution: 'Mosaicos locales',
+    maxZoom: 17
+  }
+};
+
+export const DEFAULT_TILE_SOURCE = 'osm';
+
+/**
+ * Fuente configurada: un nombre de TILE_SOURCES o una plantilla de URL con
+ * {z}, {x} y {y}. Lo desconocido cae en la fuente por defecto.
+ */
+export const getTileSource = (setting = import.meta.env.VITE_MAP_TILES) => {
+  const value = String(setting ?? '').trim();
+  if (TILE_SOURCES[value]) return TILE_SOURCES[value];
+
+  if (/\{z\}/.test(value) && /\{x\}/.test(value) && /\{y\}/.test(value)) {
+    return {
+      url: value,
+      attribution: import.meta.env.VITE_MAP_TILES_ATTRIBUTION || '',
+      maxZoom: Number(import.meta.env.VITE_MAP_TILES_MAX_ZOOM) || 18
+    };
+  }
+
+  return TILE_SOURCES[DEFAULT_TILE_SOURCE];
+};
@@ -0,0 +1,82 @@
+// hooks/useAbbreviationCheck.js
+import { useEffect, useMemo, useState } from 'react';
+import parksService from '../api/parksService';
+import { isCanceledError } from '../api/errors';
+import { validateParkField } from '../validation/parkSchema';
+import { formatValidationError } from '../validation/messages';
+import { suggestAbbreviations } from '../validation/abbreviations';
+
+const CHECK_DELAY_MS = 400;
+
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * Revisa mientras se escribe que la abreviación no la use otro parque:
+ * primero en los parques cargados (`parks`, incluidos los pendientes de
+ * sincronizar) y después en el servidor. `excludeId` es el parque que se
+ * está editando. También sugiere abreviaciones libres a partir de `name`.
+ *
+ * `status`: idle (vacía o inválida) | checking | available | taken | error
+ */
+export const useAbbreviationCheck = ({ abbreviation, name, parks = [], excludeId = null }) => {
+  const value = String(abbreviation ?? '').trim().toUpperCase();
+  const isValid = value !== '' && !validateParkField('park_abbreviation', value);
+  const [result, setResult] = useState({ value: null, status: 'idle', park: null });
+
+  const otherParks = useMemo(
+    () => parks.filter((park) => park.pending?.type !== 'delete' && (excludeId === null || !sameId(park.id, excludeId))),
+    [parks, excludeId]
+  );
+
+  const taken = useMemo(
+    () => new Set(otherParks.map((park) => String(park.park_abbreviation ?? '').toUpperCase())),
+    [otherParks]
+  );
+
+  const localConflict = useMemo(
+    () => (isValid ? otherParks.find((park) => String(park.park_abbreviation ?? '').toUpperCase() === value) ?? null : null),
+    [isValid, otherParks, value]
+  );
+
+  useEffect(() => {
+    if (!isValid || localConflict) return;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      parksService.findByAbbreviation(value, { signal: controller.signal })
+        .then((found) => {
+          const conflict = found.find((park) => excludeId === null || !sameId(park.id, excludeId)) ?? null;
+          setResult({ value, status: conflict ? 'taken' : 'available', park: conflict });
+        })
+        .catch((error) => {
+          // Sin conexión (o si la API no permite revisar todos los parques) no se
+          // puede confirmar; el servidor lo revisará al guardar o sincronizar
+          if (!isCanceledError(error)) setResult({ value, status: 'error', park: null });
+        });
+    }, CHECK_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [value, isValid, localConflict, excludeId]);
+
+  let status = 'idle';
+  let conflict = null;
+  if (localConflict) {
+    status = 'taken';
+    conflict = localConflict;
+  } else if (isValid) {
+    status = result.value === value ? result.status : 'checking';
+    conflict = result.value === value ? result.park : null;
+  }
+
+  const error = conflict ? formatValidationError({ code: 'abbreviation_taken', params: { park: conflict.park_name } }) : null;
+
+  const suggestions = useMemo(() => {
+    const unavailable = conflict ? new Set([...taken, value]) : taken;
+    return suggestAbbreviations(name, unavailable);
+  }, [name, taken, conflict, value]);
+
+  return { status, conflict, error, suggestions };
+};
@@ -0,0 +1,24 @@
+// hooks/useDebouncedInput.js
+import { useEffect, useState } from 'react';
+
+/**
+ * Campo de texto ligado a un valor externo (p. ej. la URL): responde al
+ * instante y llama a `onCommit(texto)` tras `delay` ms sin cambios. Si
+ * `value` cambia por fuera (atrás/adelante), el campo lo sigue.
+ */
+export const useDebouncedInput = (value, onCommit, delay = 300) => {
+  const [input, setInput] = useState(value);
+  const [syncedValue, setSyncedValue] = useState(value);
+  if (syncedValue !== value) {
+    setSyncedValue(value);
+    setInput(value);
+  }
+
+  useEffect(() => {
+    if (input === value) return;
+    const timer = setTimeout(() => onCommit(input), delay);
+    return () => clearTimeout(timer);
+  }, [input, value, onCommit, delay]);
+
+  return [input, setInput];
+};
@@ -1,6 +1,6 @@
 // hooks/useDeletePark.js
 import { useState } from 'react';
-import api from '../api/axios';
+import { deletePark as removePark } from '../api/parkMutations';
 import Swal from 'sweetalert2';
 
 export const useDeletePark = () => {
@@ -32,42 +32,32 @@ export const useDeletePark = () => {
     try {
       console.log('=== ELIMINANDO PARQUE ===');
       console.log('ID:', parkId);
-      console.log('URL completa:', `${api.defaults.baseURL}/parks/${parkId}`);
 
-      const response = await api.delete(`/parks/${parkId}`);
+      // Sin conexión queda en la bandeja de salida
+      const { queued } = await removePark(parkId, { id: parkId, park_name: parkName });
 
-      console.log('=== RESPUESTA DE ELIMINACIÓN ===');
-      console.log('Status:', response.status);
-      console.log('Data:', response.data);
-
-      if (response.status === 200 || response.status === 204) {
-        // Mostrar éxito con SweetAlert
-        await Swal.fire({
-          title: '¡Eliminado!',
-          text: `El parque "${parkName}" ha sido eliminado exitosamente.`,
-          icon: 'success',
-          timer: 2000,
-          showConfirmButton: false
-        });
+      // Mostrar éxito con SweetAlert
+      await Swal.fire({
+        title: queued ? 'Eliminación pendiente' : '¡Eliminado!',
+        text: queued
+          ? `El parque "${parkName}" se eliminará cuando vuelva la conexión.`
+          : `El parque "${parkName}" ha sido eliminado exitosamente.`,
+        icon: 'success',
+        timer: 2000,
+        showConfirmButton: false
+      });
 
-        // Recargar la página después de mostrar el éxito
-        setTimeout(() => {
-          window.location.reload();
-        }, 2100);
+      // Recargar la página después de mostrar el éxito
+      setTimeout(() => {
+        window.location.reload();
+      }, 2100);
 
-        return { success: true, data: response.data };
-      } else {
-        throw new Error(`Status inesperado: ${response.status}`);
-      }
+      return { success: true };
     } catch (error) {
       console.error('=== ERROR AL ELIMINAR ===');
       console.error('Error:', error);
-      console.error('Error response:', error.response);
 
-      const errorMessage = error.response?.data?.message || 
-                          error.response?.data?.error || 
-                          error.message || 
-                          'Error desconocido al eliminar el parque';
+      const errorMessage = error.message || 'Error desconocido al eliminar el parque';
 
       // Mostrar error con SweetAlert
       await Swal.fire({
@@ -0,0 +1,151 @@
+// hooks/useFormDraft.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+import Swal from 'sweetalert2';
+import { getChangedFields } from '../validation/parkSchema';
+import { getFieldLabel } from '../validation/messages';
+import { escapeHtml } from '../utils/text';
+
+const STORAGE_PREFIX = 'parks-draft:';
+const SAVE_DELAY_MS = 500;
+
+// localStorage puede no existir o estar lleno (modo privado): el borrador
+// es una ayuda, así que los errores se ignoran
+const readDraft = (key) => {
+  try {
+    const draft = JSON.parse(localStorage.getItem(STORAGE_PREFIX + key));
+    return draft?.data ? draft : null;
+  } catch {
+    return null;
+  }
+};
+
+const writeDraft = (key, draft) => {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(draft));
+  } catch {
+    // Sin espacio o sin almacenamiento
+  }
+};
+
+const removeDraft = (key) => {
+  try {
+    localStorage.removeItem(STORAGE_PREFIX + key);
+  } catch {
+    // Sin almacenamiento
+  }
+};
+
+const formatSavedAt = (savedAt) =>
+  new Date(savedAt).toLocaleString('es-MX', { dateStyle: 'medium', timeStyle: 'short' });
+
+const show = (value) => (value === '' || value === undefined ? '<em>vacío</em>' : escapeHtml(value));
+
+/**
+ * Borrador del formulario en localStorage, uno por ruta (`key`: 'new' o
+ * 'edit:<id>'). Al estar `ready` (formulario ya cargado) ofrece restaurar
+ * el borrador guardado; a partir de ahí guarda cada cambio respecto a
+ * `baseData` (formulario vacío o versión del servidor).
+ *
+ * Si la versión del servidor cambió desde que se guardó el borrador, se
+ * muestran las diferencias y al restaurar solo se aplican los campos que
+ * el usuario había modificado. `clearDraft()` se llama al guardar.
+ */
+export const useFormDraft = ({ key, formData, baseData, ready = true, onRestore }) => {
+  // Ruta para la que ya se decidió restaurar o descartar
+  const [decidedKey, setDecidedKey] = useState(null);
+  const decided = decidedKey === key;
+  const timerRef = useRef(null);
+  const onRestoreRef = useRef(onRestore);
+
+  useEffect(() => {
+    onRestoreRef.current = onRestore;
+  }, [onRestore]);
+
+  // Ofrecer el borrador una vez por ruta, cuando ya hay con qué compararlo
+  const offeredKeyRef = useRef(null);
+  useEffect(() => {
+    if (!ready || offeredKeyRef.current === key) return;
+    offeredKeyRef.current = key;
+
+    const draft = readDraft(key);
+    const draftChanges = draft ? getChangedFields(draft.data, draft.base) : [];
+    if (draftChanges.length === 0 || getChangedFields(draft.data, baseData).length === 0) {
+      removeDraft(key);
+      setDecidedKey(key);
+      return;
+    }
+
+    const serverChanges = getChangedFields(draft.base, baseData);
+    const serverTable = serverChanges.length === 0 ? '' : `
+      <p class="mt-4 mb-2 font-semibold text-amber-700">El parque cambió en el servidor desde entonces:</p>
+      <table class="w-full text-xs">
+        <thead><tr class="text-gray-500"><th class="text-left">Campo</th><th class="text-left">Antes</th><th class="text-left">Ahora</th><th class="text-left">Tu borrador</th></tr></thead>
+        <tbody>
+          ${serverChanges.map((field) => `
+            <tr>
+              <td class="pr-2 py-1">${getFieldLabel(field)}</td>
+              <td class="pr-2 py-1">${show(draft.base[field])}</td>
+              <td class="pr-2 py-1">${show(baseData[field])}</td>
+              <td class="py-1">${draftChanges.includes(field) ? show(draft.data[field]) : '<em>sin cambios</em>'}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <p class="mt-2 text-gray-500">Al restaurar se conservan los valores del servidor en los campos que no modificaste.</p>
+    `;
+
+    Swal.fire({
+      icon: 'info',
+      title: 'Borrador sin guardar',
+      html: `
+        <div class="text-left text-sm">
+          <p>Guardado el <strong>${formatSavedAt(draft.savedAt)}</strong> con cambios en:
+          ${draftChanges.map(getFieldLabel).join(', ')}.</p>
+          ${serverTable}
+        </div>
+      `,
+      width: serverChanges.length > 0 ? 640 : undefined,
+      showCancelButton: true,
+      confirmButtonText: 'Restaurar borrador',
+      cancelButtonText: 'Descartar',
+      confirmButtonColor: '#10b981',
+      allowOutsideClick: false
+    }).then((result) => {
+      if (result.isConfirmed) {
+        // Los campos que el usuario no tocó toman la versión actual del servidor
+        const restored = { ...baseData };
+        draftChanges.forEach((field) => {
+          restored[field] = draft.data[field];
+        });
+        onRestoreRef.current(restored);
+      } else {
+        removeDraft(key);
+      }
+      setDecidedKey(key);
+    });
+  }, [ready, key, baseData]);
+
+  // Autoguardado: sin cambios respecto a la base no hay borrador
+  useEffect(() => {
+    if (!decided) return;
+
+    timerRef.current = setTimeout(() => {
+      timerRef.current = null;
+      if (getChangedFields(formData, baseData).length === 0) {
+        removeDraft(key);
+      } else {
+        writeDraft(key, { data: formData, base: baseData, savedAt: Date.now() });
+      }
+    }, SAVE_DELAY_MS);
+
+    return () => clearTimeout(timerRef.current);
+  }, [decided, key, formData, baseData]);
+
+  const clearDraft = useCallback(() => {
+    clearTimeout(timerRef.current);
+    timerRef.current = null;
+    removeDraft(key);
+  }, [key]);
+
+  return { clearDraft };
+};
@@ -0,0 +1,23 @@
+// hooks/useFormErrorFocus.js
+import { useCallback, useRef } from 'react';
+
+/**
+ * Lleva al usuario al primer campo con error (en el orden del formulario):
+ * hace scroll hasta él y le da el foco. Asignar `formRef` al <form>.
+ */
+export const useFormErrorFocus = () => {
+  const formRef = useRef(null);
+
+  const focusFirstError = useCallback((errors) => {
+    const form = formRef.current;
+    if (!form) return;
+
+    const field = Array.from(form.elements).find((element) => element.name && errors[element.name]);
+    if (!field) return;
+
+    field.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    field.focus({ preventScroll: true });
+  }, []);
+
+  return { formRef, focusFirstError };
+};
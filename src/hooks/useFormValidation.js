@@ -0,0 +1,70 @@
+// hooks/useFormValidation.js
+import { useMemo, useState } from 'react';
+import { getDependentFields, validateParkField, validatePark } from '../validation/parkSchema';
+import { formatValidationError } from '../validation/messages';
+
+/**
+ * Validación de los formularios de parque con el esquema compartido.
+ * `errors` tiene el texto a mostrar por campo: primero el de las reglas del
+ * cliente y, si no hay, el que devolvió el servidor (422/409).
+ */
+export const useFormValidation = () => {
+  // { campo: { code, params } } de las reglas del cliente
+  const [errorCodes, setErrorCodes] = useState({});
+  // Mensajes del servidor por campo; se guardan aparte para que las reglas
+  // del cliente no los borren ni los sobrescriban
+  const [serverErrors, setServerErrors] = useState({});
+
+  /**
+   * Valida `name` y, si ya tienen valor, los campos que dependen de él
+   * (p. ej. al cambiar de estado: ciudad, código postal y coordenadas).
+   * `data` es el formulario completo con el nuevo valor.
+   */
+  const validate = (name, value, data = { [name]: value }) => {
+    const error = validateParkField(name, value, data);
+    const dependentErrors = {};
+    getDependentFields(name).forEach((field) => {
+      // Vacío (p. ej. la ciudad al cambiar de estado): sin error hasta enviar
+      if (data[field] === undefined || String(data[field]).trim() === '') {
+        dependentErrors[field] = undefined;
+        return;
+      }
+      dependentErrors[field] = validateParkField(field, data[field], data) || undefined;
+    });
+
+    setErrorCodes(prev => ({ ...prev, ...dependentErrors, [name]: error || undefined }));
+    // El usuario cambió el campo: el mensaje del servidor ya no aplica
+    setServerErrors(prev => {
+      if (!prev[name]) return prev;
+      const { [name]: _removed, ...rest } = prev;
+      return rest;
+    });
+    return !error;
+  };
+
+  /** Devuelve null si todo es válido o los mensajes por campo */
+  const validateAll = (formData) => {
+    const codes = validatePark(formData) || {};
+    setErrorCodes(codes);
+
+    const messages = Object.fromEntries(
+      Object.entries(codes).map(([name, error]) => [name, formatValidationError(error)])
+    );
+    return Object.keys(messages).length > 0 ? messages : null;
+  };
+
+  const errors = useMemo(() => {
+    const merged = { ...serverErrors };
+    Object.entries(errorCodes).forEach(([name, error]) => {
+      if (error) merged[name] = formatValidationError(error);
+    });
+    return merged;
+  }, [errorCodes, serverErrors]);
+
+  const resetErrors = () => {
+    setErrorCodes({});
+    setServerErrors({});
+  };
+
+  return { errors, validate, validateAll, setServerErrors, resetErrors };
+};
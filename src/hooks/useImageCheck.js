@@ -0,0 +1,59 @@
+// hooks/useImageCheck.js
+import { useEffect, useMemo, useState } from 'react';
+import { queryCache } from '../api/queryCache';
+import { isCanceledError } from '../api/errors';
+import { validateParkField } from '../validation/parkSchema';
+import { checkImageSize, loadImageSize } from '../utils/image';
+
+const CHECK_DELAY_MS = 500;
+
+// Las medidas de una URL no cambian: se reutilizan durante la sesión
+const CACHE_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Carga en segundo plano la URL de imagen mientras se escribe, para mostrar
+ * la vista previa y avisar antes de guardar si no carga o si sus medidas no
+ * son adecuadas (ver IMAGE_GUIDELINES en utils/image.js).
+ *
+ * `status`: idle (vacía o inválida) | checking | ok | error
+ * `issues`: `[{ code, params }]` de medidas y proporción
+ */
+export const useImageCheck = (url) => {
+  const value = String(url ?? '').trim();
+  const isValid = value !== '' && !validateParkField('park_img_url', value);
+  const [result, setResult] = useState({ value: null, status: 'idle', size: null, error: null });
+
+  useEffect(() => {
+    if (!isValid) return;
+
+    const key = `image-size:${value}`;
+    const entry = queryCache.get(key);
+    if (entry && Date.now() - entry.updatedAt < CACHE_TTL_MS) {
+      setResult({ value, status: 'ok', size: entry.data, error: null });
+      return;
+    }
+
+    let release = () => {};
+    const timer = setTimeout(() => {
+      const request = queryCache.fetch(key, ({ signal }) => loadImageSize(value, { signal }));
+      release = request.release;
+      request.promise
+        .then((size) => setResult({ value, status: 'ok', size, error: null }))
+        .catch((error) => {
+          if (!isCanceledError(error)) setResult({ value, status: 'error', size: null, error: error.message });
+        });
+    }, CHECK_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      release();
+    };
+  }, [value, isValid]);
+
+  const current = isValid && result.value === value ? result : null;
+  const status = !isValid ? 'idle' : current?.status ?? 'checking';
+  const size = current?.size ?? null;
+  const issues = useMemo(() => (size ? checkImageSize(size) : []), [size]);
+
+  return { status, url: value, width: size?.width ?? null, height: size?.height ?? null, issues, error: current?.error ?? null };
+};
@@ -0,0 +1,66 @@
+// hooks/useListParams.js
+import { useCallback, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+/**
+ * Estado de la lista de parques que vive en la URL (?q=&sort=&view= y los
+ * filtros) para poder guardar, compartir y recorrer con atrás/adelante una
+ * vista filtrada. Los valores por defecto no se escriben en la URL; los
+ * `multiple` se repiten (?city=Zapopan&city=Tonalá).
+ */
+export const LIST_PARAMS = {
+  searchTerm: { param: 'q', defaultValue: '' },
+  // 'relevance' ordena por coincidencia con la búsqueda; sin búsqueda, por nombre
+  sortBy: { param: 'sort', defaultValue: 'relevance', values: ['relevance', 'name', 'city', 'recent'] },
+  viewMode: { param: 'view', defaultValue: 'grid', values: ['grid', 'list'] },
+  // Filtros (ver utils/facets.js)
+  cities: { param: 'city', multiple: true },
+  states: { param: 'state', multiple: true },
+  zip: { param: 'zip', defaultValue: '' },
+  image: { param: 'image', defaultValue: '', values: ['', 'with', 'without'] },
+  imageType: { param: 'imageType', defaultValue: '', values: ['', 'url', 'upload'] },
+  completeness: { param: 'complete', defaultValue: '', values: ['', 'complete', 'incomplete'] },
+  near: { param: 'near', defaultValue: '' },
+  radius: { param: 'km', defaultValue: '5', values: ['1', '5', '10', '25', '50', '100'] }
+};
+
+// Lo que "Limpiar" deja como al entrar (la vista se conserva)
+export const CLEARED_LIST_PARAMS = Object.fromEntries(
+  Object.entries(LIST_PARAMS)
+    .filter(([name]) => name !== 'viewMode')
+    .map(([name, { multiple, defaultValue }]) => [name, multiple ? [] : defaultValue])
+);
+
+/** URLSearchParams -> { searchTerm, sortBy, viewMode, cities, ... } */
+export const readListParams = (searchParams) => Object.fromEntries(
+  Object.entries(LIST_PARAMS).map(([name, { param, defaultValue, values, multiple }]) => {
+    if (multiple) return [name, [...new Set(searchParams.getAll(param).filter(Boolean))]];
+    const value = searchParams.get(param) ?? defaultValue;
+    // Un ?sort= desconocido (enlace viejo o editado a mano) usa el de siempre
+    return [name, values && !values.includes(value) ? defaultValue : value];
+  })
+);
+
+export const useListParams = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const params = useMemo(() => readListParams(searchParams), [searchParams]);
+
+  /**
+   * Cambia uno o varios valores conservando el resto de la query. Cada
+   * cambio crea una entrada en el historial salvo con `{ replace: true }`.
+   */
+  const setListParams = useCallback((changes, { replace = false } = {}) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([name, value]) => {
+        const { param, defaultValue, multiple } = LIST_PARAMS[name];
+        next.delete(param);
+        if (multiple) value.forEach((item) => next.append(param, item));
+        else if (value && value !== defaultValue) next.set(param, value);
+      });
+      return next;
+    }, { replace });
+  }, [setSearchParams]);
+
+  return [params, setListParams];
+};
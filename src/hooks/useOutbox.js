@@ -0,0 +1,30 @@
+// hooks/useOutbox.js
+import { useSyncExternalStore } from 'react';
+import { outbox } from '../api/outbox';
+
+const subscribeOnline = (listener) => {
+  window.addEventListener('online', listener);
+  window.addEventListener('offline', listener);
+  return () => {
+    window.removeEventListener('online', listener);
+    window.removeEventListener('offline', listener);
+  };
+};
+
+/**
+ * Estado de conexión del navegador, reactivo a los eventos online/offline
+ */
+export const useOnlineStatus = () => useSyncExternalStore(subscribeOnline, () => navigator.onLine);
+
+/**
+ * Mutaciones pendientes en la bandeja de salida
+ */
+export const useOutbox = () => {
+  const items = useSyncExternalStore(outbox.subscribe, outbox.getItems);
+
+  return {
+    items,
+    conflicts: items.filter((item) => item.conflict),
+    pendingCount: items.filter((item) => !item.conflict).length
+  };
+};
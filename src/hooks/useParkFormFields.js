@@ -0,0 +1,100 @@
+// hooks/useParkFormFields.js
+import { useState } from 'react';
+import { checkParkWarnings } from '../validation/parkSchema';
+import { EMPTY_PARK_FORM } from '../validation/parkForm';
+import { describeZipRanges, getMunicipalities, getZipRanges } from '../data/regions';
+import { lookupZip } from '../data/zipCodes';
+
+/**
+ * Valores del formulario de parque y los cambios que comparten crear y
+ * editar: campos, imagen, sugerencias de código postal, coordenadas y
+ * geocodificador. Cada cambio se valida con `validate` de
+ * useFormValidation; `imageUri` es la imagen ya guardada en el servidor
+ * (al editar), que como la subida hace opcional la URL.
+ */
+export const useParkFormFields = ({ validate, imageUri } = {}) => {
+  const [formData, setFormData] = useState(EMPTY_PARK_FORM);
+  // Imagen como archivo (ver ImageUpload); reemplaza a la URL
+  const [image, setImage] = useState(null);
+
+  /** Datos a validar, con la imagen subida o guardada */
+  const withImage = (data) => ({ ...data, park_img: image?.file, park_img_uri: imageUri });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    const nextData = { ...formData, [name]: value };
+    // La ciudad depende del estado: si ya no pertenece, se vuelve a elegir
+    if (name === 'park_state' && !getMunicipalities(value).includes(formData.park_city)) {
+      nextData.park_city = '';
+    }
+    // Sin estado ni ciudad elegidos, un código del catálogo los completa
+    const zipEntry = name === 'park_zip_code' && !formData.park_state && !formData.park_city ? lookupZip(value) : null;
+    if (zipEntry) {
+      nextData.park_state = zipEntry.state;
+      nextData.park_city = zipEntry.city;
+    }
+    setFormData(nextData);
+    setTimeout(() => {
+      validate(name, value, withImage(nextData));
+      if (zipEntry) validate('park_state', nextData.park_state, nextData);
+    }, 300);
+  };
+
+  /** Imagen elegida o quitada: el archivo reemplaza a la URL */
+  const handleImageChange = (nextImage) => {
+    setImage(nextImage);
+    if (!nextImage) return;
+    const nextData = { ...formData, park_img_url: '' };
+    setFormData(nextData);
+    validate('park_img_url', '', { ...nextData, park_img: nextImage.file });
+  };
+
+  /** Estado y ciudad sugeridos por el código postal */
+  const applyZipSuggestion = ({ city, state }) => {
+    const nextData = { ...formData, park_state: state, park_city: city };
+    setFormData(nextData);
+    validate('park_state', state, nextData);
+  };
+
+  /** Coordenadas elegidas en el mapa o pegadas */
+  const setCoordinates = ({ latitude, longitude }) => {
+    const nextData = { ...formData, park_latitude: String(latitude), park_longitude: String(longitude) };
+    setFormData(nextData);
+    validate('park_latitude', nextData.park_latitude, nextData);
+    validate('park_longitude', nextData.park_longitude, nextData);
+  };
+
+  /** Dirección, ciudad, estado y código postal sugeridos por el geocodificador */
+  const applyPlace = (fields) => {
+    const nextData = { ...formData, ...fields };
+    setFormData(nextData);
+    Object.keys(fields).forEach((name) => validate(name, nextData[name], nextData));
+  };
+
+  /** Agrega la colonia a la dirección si aún no la menciona */
+  const addColonia = (colonia) => {
+    const address = formData.park_address.trim();
+    if (address.toLowerCase().includes(colonia.toLowerCase())) return;
+    handleChange({ target: { name: 'park_address', value: address ? `${address}, Col. ${colonia}` : `Col. ${colonia}` } });
+  };
+
+  const warnings = checkParkWarnings(formData);
+  const zipRanges = getZipRanges(formData.park_state, formData.park_city);
+  const zipPlaceholder = zipRanges ? describeZipRanges(zipRanges) : 'Elige estado y ciudad';
+
+  return {
+    formData,
+    setFormData,
+    image,
+    setImage,
+    withImage,
+    handleChange,
+    handleImageChange,
+    applyZipSuggestion,
+    setCoordinates,
+    applyPlace,
+    addColonia,
+    warnings,
+    zipPlaceholder
+  };
+};
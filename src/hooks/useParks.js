@@ -0,0 +1,82 @@
+// hooks/useParks.js
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import parksService, { PER_PAGE, appendParksPage, parksKeys } from '../api/parksService';
+import queryCache from '../api/queryCache';
+import { isCanceledError } from '../api/errors';
+import { applyOutbox, applyOutboxToPark, isTempId } from '../api/outbox';
+import { useQuery } from './useQuery';
+import { useOutbox } from './useOutbox';
+
+/**
+ * Lista paginada de parques con caché; al volver a Home se muestra al
+ * instante. `data` son los parques de las páginas cargadas, con los cambios
+ * pendientes de la bandeja de salida (`park.pending`); `fetchNextPage`
+ * agrega la siguiente página (sus errores quedan en `nextPageError`).
+ * Los totales vienen del servidor.
+ */
+export const useParksList = (options = {}) => {
+  // Al revalidar se vuelven a pedir todas las páginas ya cargadas
+  const query = useQuery(parksKeys.list, ({ signal }) => parksService.list({ signal }, {
+    pages: queryCache.get(parksKeys.list)?.data?.currentPage ?? 1
+  }), options);
+  const { items } = useOutbox();
+  const [isFetchingNextPage, setIsFetchingNextPage] = useState(false);
+  const [nextPageError, setNextPageError] = useState(null);
+  const nextPageRef = useRef(null);
+
+  useEffect(() => () => nextPageRef.current?.abort(), []);
+
+  const fetchNextPage = useCallback(async () => {
+    const list = queryCache.get(parksKeys.list)?.data;
+    if (!list?.hasMore || nextPageRef.current) return;
+
+    const controller = new AbortController();
+    nextPageRef.current = controller;
+    setIsFetchingNextPage(true);
+    setNextPageError(null);
+
+    try {
+      const page = await parksService.listPage(list.currentPage + 1, { signal: controller.signal });
+      queryCache.update(parksKeys.list, (current) => appendParksPage(current, page));
+    } catch (error) {
+      // Se muestra junto a la lista; el scroll infinito se pausa hasta reintentar
+      if (!isCanceledError(error)) setNextPageError(error);
+    } finally {
+      nextPageRef.current = null;
+      setIsFetchingNextPage(false);
+    }
+  }, []);
+
+  const data = useMemo(() => {
+    if (query.data === undefined && items.length === 0) return undefined;
+    return applyOutbox(query.data?.parks ?? [], items);
+  }, [query.data, items]);
+
+  const pagination = useMemo(() => ({
+    currentPage: query.data?.currentPage ?? 0,
+    lastPage: query.data?.lastPage ?? null,
+    perPage: query.data?.perPage || PER_PAGE,
+    total: query.data?.total ?? null,
+    hasMore: query.data?.hasMore ?? false
+  }), [query.data]);
+
+  return { ...query, data, pagination, fetchNextPage, isFetchingNextPage, nextPageError };
+};
+
+/**
+ * Detalle de un parque. Si aún no está en caché se siembra con el parque
+ * de la lista (si ya se cargó) mientras llega la respuesta del servidor.
+ * Los parques creados sin conexión (id temporal) salen de la bandeja.
+ */
+export const useParkDetail = (id, options = {}) => {
+  const query = useQuery(parksKeys.detail(id), ({ signal }) => parksService.get(id, { signal }), {
+    enabled: Boolean(id) && !isTempId(id),
+    initialData: () => queryCache.get(parksKeys.list)?.data?.parks?.find((park) => String(park.id) === String(id)),
+    ...options
+  });
+  const { items } = useOutbox();
+
+  const data = useMemo(() => applyOutboxToPark(id, query.data, items), [id, query.data, items]);
+
+  return { ...query, data, isLoading: query.isLoading && !data };
+};
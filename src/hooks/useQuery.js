@@ -0,0 +1,88 @@
+// hooks/useQuery.js
+import { useCallback, useEffect, useRef, useState, useSyncExternalStore } from 'react';
+import queryCache from '../api/queryCache';
+import { isCanceledError } from '../api/errors';
+
+/**
+ * Lectura con caché stale-while-revalidate.
+ * Devuelve al instante los datos en caché para `key` y los revalida en
+ * segundo plano al montar, al cambiar la clave o cuando se invalidan.
+ * Las peticiones idénticas en curso se comparten y se cancelan con
+ * AbortController al desmontar o cambiar de clave (p. ej. de ruta).
+ *
+ * @param {string} key - Endpoint que identifica la consulta
+ * @param {({ signal }: { signal: AbortSignal }) => Promise<any>} fetcher
+ * @param {{ enabled?: boolean, initialData?: () => any }} options
+ *   `initialData` siembra la caché si está vacía (p. ej. desde la lista)
+ */
+export const useQuery = (key, fetcher, { enabled = true, initialData } = {}) => {
+  const [error, setError] = useState(null);
+
+  const fetcherRef = useRef(fetcher);
+  const initialDataRef = useRef(initialData);
+  useEffect(() => {
+    fetcherRef.current = fetcher;
+    initialDataRef.current = initialData;
+  });
+
+  // Peticiones que este componente espera para la clave actual
+  const releasesRef = useRef(new Set());
+  const keyRef = useRef(key);
+
+  const subscribe = useCallback((listener) => queryCache.subscribe(key, listener), [key]);
+  const entry = useSyncExternalStore(subscribe, () => queryCache.get(key));
+  const isFetching = useSyncExternalStore(subscribe, () => queryCache.isFetching(key));
+
+  const refetch = useCallback(async () => {
+    const { promise, release } = queryCache.fetch(key, fetcherRef.current);
+    releasesRef.current.add(release);
+    setError(null);
+
+    try {
+      return await promise;
+    } catch (fetchError) {
+      // Una respuesta de otra clave (ruta anterior) no debe tocar el estado
+      if (!isCanceledError(fetchError) && keyRef.current === key) setError(fetchError);
+      throw fetchError;
+    } finally {
+      release();
+      releasesRef.current.delete(release);
+    }
+  }, [key]);
+
+  // Revalidar al montar o al cambiar de clave; cancelar al salir
+  useEffect(() => {
+    keyRef.current = key;
+    setError(null);
+    if (!enabled) return;
+
+    if (!queryCache.get(key) && initialDataRef.current) {
+      const seed = initialDataRef.current();
+      if (seed !== undefined && seed !== null) queryCache.set(key, seed);
+    }
+
+    refetch().catch(() => {});
+
+    const releases = releasesRef.current;
+    return () => {
+      releases.forEach((release) => release());
+      releases.clear();
+    };
+  }, [key, enabled, refetch]);
+
+  // Revalidar cuando una mutación invalida la entrada
+  const isStale = entry?.stale === true;
+  useEffect(() => {
+    if (enabled && isStale && !isFetching) refetch().catch(() => {});
+  }, [enabled, isStale, isFetching, refetch]);
+
+  return {
+    data: entry?.data,
+    error,
+    updatedAt: entry?.updatedAt ?? null,
+    // Solo es "cargando" si no hay nada que mostrar todavía
+    isLoading: !entry && (isFetching || (enabled && !error)),
+    isFetching,
+    refetch
+  };
+};
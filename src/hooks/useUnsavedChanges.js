@@ -0,0 +1,93 @@
+// hooks/useUnsavedChanges.js
+import { useCallback, useEffect, useRef } from 'react';
+import { useBlocker } from 'react-router-dom';
+import Swal from 'sweetalert2';
+import { getChangedFields } from '../validation/parkSchema';
+import { getFieldLabel } from '../validation/messages';
+
+/**
+ * Evita salir del formulario con cambios sin guardar. Bloquea la
+ * navegación de la app (enlaces, navigate, atrás del navegador) y pregunta
+ * si guardar, descartar o seguir editando; al cerrar o recargar la pestaña
+ * el navegador muestra su propio aviso (beforeunload).
+ *
+ * - `onSave(location)`: envía el formulario y, si se guarda, navega a
+ *   `location` (la ruta a la que se quería ir)
+ * - `onDiscard()`: p. ej. borrar el borrador antes de salir
+ * - `otherChanges`: cambios fuera de `formData` (p. ej. ['park_img'])
+ * - `allowNavigation()`: llamarlo antes de navegar tras guardar, cuando el
+ *   formulario aún tiene los datos sin guardar
+ */
+export const useUnsavedChanges = ({ formData, baseData, enabled = true, otherChanges = [], onSave, onDiscard }) => {
+  const changedFields = enabled ? [...getChangedFields(formData, baseData), ...otherChanges] : [];
+  const isDirty = changedFields.length > 0;
+  const allowedRef = useRef(false);
+
+  const blocker = useBlocker(({ currentLocation, nextLocation }) =>
+    isDirty && !allowedRef.current && currentLocation.pathname !== nextLocation.pathname
+  );
+
+  // Lo que usa el diálogo, sin reabrirlo en cada render
+  const latestRef = useRef({ changedFields, onSave, onDiscard });
+  useEffect(() => {
+    latestRef.current = { changedFields, onSave, onDiscard };
+  });
+
+  useEffect(() => {
+    if (blocker.state !== 'blocked') return;
+
+    const { changedFields: fields } = latestRef.current;
+    Swal.fire({
+      icon: 'warning',
+      title: 'Cambios sin guardar',
+      html: `
+        <div class="text-left text-sm">
+          <p class="mb-2">Modificaste ${fields.length} campo(s):</p>
+          <ul class="list-disc pl-5 space-y-1">
+            ${fields.map((field) => `<li>${getFieldLabel(field)}</li>`).join('')}
+          </ul>
+        </div>
+      `,
+      showDenyButton: true,
+      showCancelButton: true,
+      confirmButtonText: 'Guardar',
+      denyButtonText: 'Descartar',
+      cancelButtonText: 'Seguir editando',
+      confirmButtonColor: '#10b981',
+      denyButtonColor: '#ef4444'
+    }).then((result) => {
+      if (result.isDenied) {
+        latestRef.current.onDiscard?.();
+        blocker.proceed();
+      } else if (result.isConfirmed) {
+        // El envío tiene sus propias confirmaciones; si se completa navega
+        // al destino original
+        const { location } = blocker;
+        blocker.reset();
+        latestRef.current.onSave(location);
+      } else {
+        blocker.reset();
+      }
+    });
+  }, [blocker]);
+
+  // Cerrar o recargar la pestaña: solo el navegador puede preguntar
+  useEffect(() => {
+    if (!isDirty) return;
+
+    const handleBeforeUnload = (event) => {
+      if (allowedRef.current) return;
+      event.preventDefault();
+      event.returnValue = '';
+    };
+
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [isDirty]);
+
+  const allowNavigation = useCallback(() => {
+    allowedRef.current = true;
+  }, []);
+
+  return { isDirty, changedFields, allowNavigation };
+};
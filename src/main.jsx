@@ -11,10 +11,15 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App";
+import { hydrateOfflineData } from "./api/outbox";
 import "./index.css";
 
-ReactDOM.createRoot(document.getElementById("root")).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+// Cargar la bandeja de salida y la última lista sincronizada antes del
+// primer render, para que la app funcione sin conexión
+hydrateOfflineData().finally(() => {
+  ReactDOM.createRoot(document.getElementById("root")).render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>
+  );
+});
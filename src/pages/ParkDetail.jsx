@@ -1,14 +1,15 @@
 import { useEffect, useState } from "react";
 import { useParams, Link, useNavigate } from "react-router-dom";
-import { ArrowLeft, MapPin, Calendar, Hash, Share2, ExternalLink, Edit } from "lucide-react";
+import { ArrowLeft, MapPin, Calendar, Hash, Share2, ExternalLink, Edit, Copy, CloudOff, AlertTriangle } from "lucide-react";
 import Swal from 'sweetalert2';
-import api from "../api/axios";
+import { ParkNotFoundError, describeAttempts } from "../api/errors";
+import { getStorageUrl } from "../api/storage";
+import { useParkDetail } from "../hooks/useParks";
 
 export default function ParkDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
-  const [park, setPark] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const { data: park, error, isLoading: loading, refetch } = useParkDetail(id);
   const [imageLoaded, setImageLoaded] = useState(false);
   const [imageError, setImageError] = useState(false);
 
@@ -17,83 +18,80 @@ export default function ParkDetail() {
    */
   const getImageUrl = (park) => {
     if (park.park_img_url && !imageError) return park.park_img_url;
-    if (park.park_img_uri && !imageError) return `https://azuritaa33.sg-host.com/storage/${park.park_img_uri}`;
+    if (park.park_img_uri && !imageError) return getStorageUrl(park.park_img_uri);
     return 'https://images.unsplash.com/photo-1441974231531-c6227db76b6e?w=800&h=400&fit=crop&q=80';
   };
 
+  const hasPark = Boolean(park);
+
   /**
-   * Cargar datos del parque con manejo de errores según documentación API
+   * Errores de carga según documentación API. Con el parque ya en caché
+   * (visto antes o sembrado desde la lista) la revalidación fallida no
+   * bloquea la vista.
    */
-  const fetchPark = async () => {
+  useEffect(() => {
+    if (!error) return;
+    console.error("Error al obtener parque:", error);
+
     if (!navigator.onLine) {
+      // Sin red pero con el parque en caché: basta con el aviso global
+      if (hasPark) return;
       Swal.fire({
         icon: 'warning',
         title: 'Sin conexión',
         text: 'Verifica tu conexión a internet',
         confirmButtonColor: '#16a34a'
       });
-      setLoading(false);
       return;
     }
 
-    setLoading(true);
-    try {
-      const res = await api.get(`/parks/${id}`, {
-        timeout: 10000,
-        headers: { 'Cache-Control': 'no-cache' }
+    if (error instanceof ParkNotFoundError) {
+      Swal.fire({
+        icon: 'error',
+        title: 'Parque no encontrado',
+        text: `No existe el parque con ID: ${id}`,
+        confirmButtonText: 'Volver al inicio',
+        confirmButtonColor: '#16a34a',
+        allowOutsideClick: false
+      }).then(() => navigate('/'));
+      return;
+    }
+
+    // Revalidación fallida con el parque en caché: se sigue mostrando y
+    // solo se avisa, sin sacar al usuario de la página
+    if (hasPark) {
+      Swal.fire({
+        icon: 'warning',
+        title: 'No se pudo actualizar el parque',
+        text: 'Se muestran los últimos datos guardados',
+        toast: true,
+        position: 'top-end',
+        timer: 6000,
+        timerProgressBar: true,
+        showConfirmButton: true,
+        confirmButtonText: 'Reintentar',
+        confirmButtonColor: '#16a34a'
+      }).then((result) => {
+        if (result.isConfirmed) refetch().catch(() => {});
       });
-      
-      const parkData = res.data.data || res.data;
-      
-      if (!parkData?.park_name) {
-        throw new Error('Datos del parque incompletos');
-      }
-      
-      setPark(parkData);
-      
-    } catch (error) {
-      console.error("Error al obtener parque:", error);
-      
-      if (error.response?.status === 404) {
-        Swal.fire({
-          icon: 'error',
-          title: 'Parque no encontrado',
-          text: `No existe el parque con ID: ${id}`,
-          confirmButtonText: 'Volver al inicio',
-          confirmButtonColor: '#16a34a',
-          allowOutsideClick: false
-        }).then(() => navigate('/'));
-      } else if (error.response?.status === 500) {
-        Swal.fire({
-          icon: 'error',
-          title: 'Error del servidor',
-          text: 'Problema en el servidor. Intenta más tarde.',
-          showCancelButton: true,
-          confirmButtonText: 'Reintentar',
-          cancelButtonText: 'Volver',
-          confirmButtonColor: '#16a34a'
-        }).then((result) => {
-          if (result.isConfirmed) fetchPark();
-          else navigate('/');
-        });
-      } else {
-        Swal.fire({
-          icon: 'error',
-          title: 'Error de conexión',
-          text: 'No se pudo conectar con el servidor',
-          showCancelButton: true,
-          confirmButtonText: 'Reintentar',
-          cancelButtonText: 'Volver',
-          confirmButtonColor: '#16a34a'
-        }).then((result) => {
-          if (result.isConfirmed) fetchPark();
-          else navigate('/');
-        });
-      }
-    } finally {
-      setLoading(false);
+      return;
     }
-  };
+
+    Swal.fire({
+      icon: 'error',
+      title: error.status === 500 ? 'Error del servidor' : 'Error de conexión',
+      text: error.status === 500
+        ? `Problema en el servidor. Intenta más tarde.${describeAttempts(error)}`
+        : `No se pudo conectar con el servidor${describeAttempts(error)}`,
+      showCancelButton: true,
+      confirmButtonText: 'Reintentar',
+      cancelButtonText: 'Volver',
+      confirmButtonColor: '#16a34a'
+    }).then((result) => {
+      if (result.isConfirmed) refetch().catch(() => {});
+      else navigate('/');
+    });
+  }, [error, hasPark, id, navigate, refetch]);
 
   /**
    * Compartir parque
@@ -134,12 +132,8 @@ export default function ParkDetail() {
   };
 
   useEffect(() => {
-    if (id) {
-      fetchPark();
-    } else {
-      navigate('/');
-    }
-  }, [id]);
+    if (!id) navigate('/');
+  }, [id, navigate]);
 
   // Loading state
   if (loading) {
@@ -178,7 +172,7 @@ export default function ParkDetail() {
           
           <div className="flex flex-col sm:flex-row space-y-3 sm:space-y-0 sm:space-x-4 justify-center">
             <button
-              onClick={fetchPark}
+              onClick={() => refetch().catch(() => {})}
               className="px-6 py-3 bg-blue-600 text-white rounded-lg shadow hover:bg-blue-700 transition-all duration-300 hover:scale-105"
             >
               🔄 Reintentar
@@ -214,6 +208,22 @@ export default function ParkDetail() {
           </div>
         </div>
         
+        {/* Cambios hechos sin conexión */}
+        {park.pending && (
+          <div className={`mb-6 flex items-center space-x-3 px-5 py-4 rounded-xl border ${
+            park.pending.conflict ? 'bg-red-50 border-red-200 text-red-700' : 'bg-amber-50 border-amber-200 text-amber-800'
+          }`}>
+            {park.pending.conflict ? <AlertTriangle className="w-5 h-5 flex-shrink-0" /> : <CloudOff className="w-5 h-5 flex-shrink-0" />}
+            <p className="text-sm">
+              {park.pending.conflict
+                ? `No se pudo sincronizar: ${park.pending.conflict}`
+                : park.pending.type === 'delete'
+                  ? 'Este parque se eliminará cuando vuelva la conexión'
+                  : 'Hay cambios de este parque pendientes de enviar al servidor'}
+            </p>
+          </div>
+        )}
+
         <div className="bg-white shadow-2xl rounded-3xl overflow-hidden border border-green-100">
           
           {/* Image Section */}
@@ -329,7 +339,7 @@ export default function ParkDetail() {
                     <div className="flex justify-between items-center py-3 border-b border-blue-100">
                       <span className="text-gray-600 font-medium">Latitud:</span>
                       <span className="font-mono text-gray-800 bg-blue-100 px-3 py-1 rounded-full text-sm">
-                        {parseFloat(park.park_latitude).toFixed(6)}°
+                        {park.park_latitude.toFixed(6)}°
                       </span>
                     </div>
                   )}
@@ -338,7 +348,7 @@ export default function ParkDetail() {
                     <div className="flex justify-between items-center py-3 border-b border-blue-100">
                       <span className="text-gray-600 font-medium">Longitud:</span>
                       <span className="font-mono text-gray-800 bg-blue-100 px-3 py-1 rounded-full text-sm">
-                        {parseFloat(park.park_longitude).toFixed(6)}°
+                        {park.park_longitude.toFixed(6)}°
                       </span>
                     </div>
                   )}
@@ -376,6 +386,15 @@ export default function ParkDetail() {
                   <Share2 className="w-4 h-4" />
                   <span>Compartir</span>
                 </button>
+
+                <Link
+                  to={`/parks/new?from=${park.id}`}
+                  state={{ park }}
+                  className="px-4 py-2 bg-amber-500 hover:bg-amber-600 text-white rounded-lg transition-all duration-300 hover:scale-105 flex items-center space-x-2"
+                >
+                  <Copy className="w-4 h-4" />
+                  <span>Duplicar</span>
+                </Link>
                 
                 <Link
                   to="/"
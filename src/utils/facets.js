@@ -0,0 +1,173 @@
+// utils/facets.js
+// Filtros combinables de la lista de parques (ciudades, estados, código
+// postal, imagen, datos completos y cercanía) y cuántos parques quedan con
+// cada opción, para mostrar los conteos en el panel de filtros.
+
+import { formatZip } from '../data/regions';
+import { haversineKm } from '../geo/distance';
+import { parseCoordinates } from '../geo/parseCoordinates';
+
+// Radios (km) de "a menos de N km de un punto"
+export const RADIUS_OPTIONS = [1, 5, 10, 25, 50, 100];
+
+export const IMAGE_OPTIONS = { with: 'Con imagen', without: 'Sin imagen' };
+
+// Qué imagen muestra la tarjeta: la URL tiene prioridad sobre la subida
+export const IMAGE_TYPE_OPTIONS = { url: 'URL externa', upload: 'Subida' };
+
+export const COMPLETENESS_OPTIONS = { complete: 'Completos', incomplete: 'Con datos faltantes' };
+
+// Datos que debe tener un parque completo (la imagen, por URL o subida)
+const COMPLETENESS_FIELDS = [
+  'park_name', 'park_abbreviation', 'park_address', 'park_city',
+  'park_state', 'park_zip_code', 'park_latitude', 'park_longitude'
+];
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+/** Campos vacíos de un parque del servidor ('park_img' si no tiene imagen) */
+export const getMissingFields = (park) => {
+  const missing = COMPLETENESS_FIELDS.filter((field) => isBlank(park[field]));
+  if (isBlank(park.park_img_url) && isBlank(park.park_img_uri)) missing.push('park_img');
+  return missing;
+};
+
+const toPoint = (park) => {
+  const latitude = parseFloat(park.park_latitude);
+  const longitude = parseFloat(park.park_longitude);
+  return Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null;
+};
+
+/**
+ * Valores de un parque para cada filtro; se calculan una vez por parque y
+ * se reutilizan al filtrar y al contar
+ */
+export const getParkFacetValues = (park) => {
+  const imageType = !isBlank(park.park_img_url) ? 'url' : !isBlank(park.park_img_uri) ? 'upload' : null;
+  return {
+    city: park.park_city || '',
+    state: park.park_state || '',
+    zip: isBlank(park.park_zip_code) ? null : formatZip(park.park_zip_code),
+    image: imageType ? 'with' : 'without',
+    imageType,
+    completeness: getMissingFields(park).length === 0 ? 'complete' : 'incomplete',
+    point: toPoint(park)
+  };
+};
+
+/**
+ * Filtro de código postal: un prefijo ("441" -> 44100-44199...) o un rango
+ * ("44100-44990"). Devuelve `{ prefix }`, `{ from, to }` o null si no se
+ * entiende.
+ */
+export const parseZipFilter = (value) => {
+  const text = String(value ?? '').replace(/\s+/g, '');
+  if (/^\d{1,5}$/.test(text)) return { prefix: text };
+
+  const range = text.match(/^(\d{1,5})-(\d{1,5})$/);
+  if (!range) return null;
+  const [from, to] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+  return { from, to };
+};
+
+const matchesZip = (zip, filter) => {
+  if (!zip) return false;
+  if (filter.prefix) return zip.startsWith(filter.prefix);
+  return Number(zip) >= filter.from && Number(zip) <= filter.to;
+};
+
+/**
+ * Filtros de la URL (ver useListParams) ya interpretados: `zip` y `near`
+ * quedan en null si no son válidos, y así no filtran
+ */
+export const prepareFacetFilters = ({ cities = [], states = [], zip = '', image = '', imageType = '', completeness = '', near = '', radius }) => {
+  const point = parseCoordinates(near);
+  return {
+    cities,
+    states,
+    zip: parseZipFilter(zip),
+    image,
+    imageType,
+    completeness,
+    near: point ? { point, km: Number(radius) || RADIUS_OPTIONS[1] } : null
+  };
+};
+
+const distanceFrom = (values, near) => (values.point ? haversineKm(near.point, values.point) : Infinity);
+
+// Cada filtro: si está activo y si los valores de un parque lo cumplen
+const FACETS = {
+  cities: {
+    isActive: (filters) => filters.cities.length > 0,
+    matches: (values, filters) => filters.cities.includes(values.city)
+  },
+  states: {
+    isActive: (filters) => filters.states.length > 0,
+    matches: (values, filters) => filters.states.includes(values.state)
+  },
+  zip: {
+    isActive: (filters) => Boolean(filters.zip),
+    matches: (values, filters) => matchesZip(values.zip, filters.zip)
+  },
+  image: {
+    isActive: (filters) => Boolean(filters.image),
+    matches: (values, filters) => values.image === filters.image
+  },
+  imageType: {
+    isActive: (filters) => Boolean(filters.imageType),
+    matches: (values, filters) => values.imageType === filters.imageType
+  },
+  completeness: {
+    isActive: (filters) => Boolean(filters.completeness),
+    matches: (values, filters) => values.completeness === filters.completeness
+  },
+  near: {
+    isActive: (filters) => Boolean(filters.near),
+    matches: (values, filters) => distanceFrom(values, filters.near) <= filters.near.km
+  }
+};
+
+/** Cuántos filtros están aplicando */
+export const countActiveFacets = (filters) =>
+  Object.values(FACETS).filter((facet) => facet.isActive(filters)).length;
+
+/** Si un parque cumple todos los filtros activos, salvo `except` */
+export const matchesFacets = (values, filters, except = null) =>
+  Object.entries(FACETS).every(([key, facet]) =>
+    key === except || !facet.isActive(filters) || facet.matches(values, filters)
+  );
+
+const tally = (entries, getKey) => {
+  const counts = new Map();
+  entries.forEach((values) => {
+    const key = getKey(values);
+    if (key !== null && key !== undefined) counts.set(key, (counts.get(key) ?? 0) + 1);
+  });
+  return counts;
+};
+
+/**
+ * Conteos por opción de cada filtro sobre `entries` (valores de
+ * getParkFacetValues de los parques que ya pasaron la búsqueda). Cada
+ * filtro se cuenta con todos los demás aplicados, así el número dice
+ * cuántos parques quedarían al elegir esa opción.
+ */
+export const countFacetOptions = (entries, filters) => {
+  const without = (key) => entries.filter((values) => matchesFacets(values, filters, key));
+  const nearEntries = without('near');
+
+  return {
+    cities: tally(without('cities'), (values) => values.city),
+    states: tally(without('states'), (values) => values.state),
+    image: tally(without('image'), (values) => values.image),
+    imageType: tally(without('imageType'), (values) => values.imageType),
+    completeness: tally(without('completeness'), (values) => values.completeness),
+    // Por radio: parques a esa distancia o menos del punto elegido
+    radius: filters.near
+      ? new Map(RADIUS_OPTIONS.map((km) => [
+        km,
+        nearEntries.filter((values) => distanceFrom(values, filters.near) <= km).length
+      ]))
+      : new Map()
+  };
+};
@@ -0,0 +1,190 @@
+// utils/image.js
+// Imágenes en el navegador: reducción y compresión antes de subirlas (una
+// foto de celular de 4000 px y 5 MB queda en unos cientos de KB) y
+// verificación de las URL de imagen (que carguen y sus medidas).
+
+/** Límites de la imagen que se envía al servidor */
+export const IMAGE_UPLOAD = {
+  maxWidth: 1600,
+  maxHeight: 1600,
+  quality: 0.82,
+  // WebP si el navegador lo genera; si no, JPEG
+  types: ['image/webp', 'image/jpeg'],
+  // Lo que acepta el backend después de comprimir
+  maxBytes: 2 * 1024 * 1024
+};
+
+const EXTENSIONS = {
+  'image/webp': 'webp',
+  'image/jpeg': 'jpg'
+};
+
+/** Error de lectura o de tipo de archivo, con mensaje para el usuario */
+export class ImageProcessingError extends Error {
+  constructor(message, { cause = null } = {}) {
+    super(message);
+    this.name = 'ImageProcessingError';
+    this.cause = cause;
+  }
+}
+
+// createImageBitmap respeta la orientación EXIF de las fotos; <img> como
+// respaldo para navegadores sin soporte
+const decode = async (file) => {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch {
+      // Formato no soportado por createImageBitmap: probar con <img>
+    }
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+const toBlob = (canvas, type, quality) =>
+  new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+
+/** Tamaño que cabe en `maxWidth` x `maxHeight` sin deformar ni ampliar */
+export const fitSize = (width, height, { maxWidth, maxHeight }) => {
+  const scale = Math.min(1, maxWidth / width, maxHeight / height);
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+/** "1.2 MB", "240 KB" */
+export const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+/**
+ * Reduce la imagen a los límites de IMAGE_UPLOAD y la comprime.
+ * Devuelve `{ file, width, height, originalSize }`; `file` es un File listo
+ * para enviar como multipart. Lanza ImageProcessingError si el archivo no
+ * es una imagen legible o sigue siendo demasiado grande.
+ */
+export const resizeImage = async (file, options = {}) => {
+  const { maxWidth, maxHeight, quality, types, maxBytes } = { ...IMAGE_UPLOAD, ...options };
+
+  if (!file?.type?.startsWith('image/')) {
+    throw new ImageProcessingError('El archivo no es una imagen');
+  }
+
+  let source;
+  try {
+    source = await decode(file);
+  } catch (error) {
+    throw new ImageProcessingError('No se pudo leer la imagen; prueba con JPG, PNG o WebP', { cause: error });
+  }
+
+  const size = fitSize(source.width, source.height, { maxWidth, maxHeight });
+  const canvas = document.createElement('canvas');
+  canvas.width = size.width;
+  canvas.height = size.height;
+  const context = canvas.getContext('2d');
+  // Fondo blanco: las transparencias de un PNG no existen en JPEG
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, size.width, size.height);
+  context.drawImage(source, 0, 0, size.width, size.height);
+  source.close?.();
+
+  // toBlob devuelve PNG cuando el navegador no sabe generar el tipo pedido
+  let blob = null;
+  for (const type of types) {
+    const candidate = await toBlob(canvas, type, quality);
+    if (candidate?.type === type) {
+      blob = candidate;
+      break;
+    }
+  }
+  if (!blob) throw new ImageProcessingError('El navegador no pudo comprimir la imagen');
+  if (blob.size > maxBytes) {
+    throw new ImageProcessingError(`La imagen comprimida pesa ${formatBytes(blob.size)}; el máximo es ${formatBytes(maxBytes)}`);
+  }
+
+  const baseName = file.name?.replace(/\.[^.]+$/, '') || 'imagen';
+  return {
+    file: new File([blob], `${baseName}.${EXTENSIONS[blob.type]}`, { type: blob.type, lastModified: Date.now() }),
+    width: size.width,
+    height: size.height,
+    originalSize: file.size
+  };
+};
+
+/**
+ * Medidas recomendadas para la imagen de un parque: las tarjetas y el
+ * detalle la recortan a formato horizontal (entre 6:5 y 11:5)
+ */
+export const IMAGE_GUIDELINES = {
+  minWidth: 400,
+  minHeight: 250,
+  maxWidth: 6000,
+  maxHeight: 6000,
+  minAspect: 1.2,
+  maxAspect: 2.2,
+  timeoutMs: 10000
+};
+
+/**
+ * Carga una imagen por URL (como lo hará la tarjeta, sin CORS) y resuelve
+ * con `{ width, height }`. Rechaza con ImageProcessingError si no carga o
+ * tarda más de `timeoutMs`, y con AbortError si se cancela con `signal`.
+ */
+export const loadImageSize = (url, { signal, timeoutMs = IMAGE_GUIDELINES.timeoutMs } = {}) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+
+    const finish = (callback) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      image.onload = null;
+      image.onerror = null;
+      callback();
+    };
+
+    const onAbort = () => finish(() => {
+      image.src = '';
+      reject(new DOMException('Carga de imagen cancelada', 'AbortError'));
+    });
+
+    const timer = setTimeout(() => finish(() => {
+      image.src = '';
+      reject(new ImageProcessingError('La imagen tardó demasiado en cargar'));
+    }), timeoutMs);
+
+    if (signal?.aborted) return onAbort();
+    signal?.addEventListener('abort', onAbort);
+
+    image.onload = () => finish(() => resolve({ width: image.naturalWidth, height: image.naturalHeight }));
+    image.onerror = () => finish(() => reject(new ImageProcessingError('No se pudo cargar la imagen (enlace roto o sin acceso)')));
+    image.src = url;
+  });
+
+/**
+ * Problemas de medidas según IMAGE_GUIDELINES, como códigos de
+ * validation/messages.js: `[{ code, params }]`, vacío si todo está bien
+ */
+export const checkImageSize = ({ width, height }, guidelines = IMAGE_GUIDELINES) => {
+  const issues = [];
+  const { minWidth, minHeight, maxWidth, maxHeight, minAspect, maxAspect } = guidelines;
+
+  if (width < minWidth || height < minHeight) {
+    issues.push({ code: 'image_too_small', params: { width, height, minWidth, minHeight } });
+  } else if (width > maxWidth || height > maxHeight) {
+    issues.push({ code: 'image_too_large', params: { width, height, maxWidth, maxHeight } });
+  }
+
+  const ratio = width / height;
+  if (ratio < minAspect || ratio > maxAspect) {
+    issues.push({ code: 'image_aspect', params: { ratio: ratio.toFixed(2), min: minAspect, max: maxAspect } });
+  }
+  return issues;
+};
@@ -0,0 +1,209 @@
+// utils/search.js
+// Búsqueda aproximada en memoria: un índice de palabras normalizadas (sin
+// acentos ni mayúsculas, ver utils/text.js) que tolera errores de
+// escritura y devuelve qué parte del texto original coincidió para
+// resaltarla.
+
+import { STOP_WORDS, normalizeText } from './text';
+
+const WORD = /[\p{L}\d]+/gu;
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+
+// Puntuación de una palabra de la búsqueda contra una del índice
+const MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.85,
+  contains: 0.6,
+  typo: 0.7,
+  typoPrefix: 0.55
+};
+
+// Errores tolerados según la longitud de la palabra buscada
+const maxTypos = (length) => (length <= 3 ? 0 : length <= 6 ? 1 : 2);
+
+/**
+ * Texto normalizado y, para cada carácter, su posición en el original
+ * ("Tonalá" -> "tonala" con la "a" final apuntando a "á")
+ */
+const normalizeWithOffsets = (value) => {
+  const original = String(value ?? '');
+  let text = '';
+  const offsets = [];
+  for (let i = 0; i < original.length; i += 1) {
+    const normalized = original[i].normalize('NFD').replace(COMBINING_MARKS, '').toLowerCase();
+    text += normalized;
+    for (let j = 0; j < normalized.length; j += 1) offsets.push(i);
+  }
+  offsets.push(original.length);
+  return { text, offsets };
+};
+
+/**
+ * Distancia de edición (Damerau-Levenshtein restringida) entre `a` y `b`,
+ * o `max + 1` en cuanto se sabe que la supera
+ */
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      // Letras intercambiadas ("tonlaa") cuentan como un solo error
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, beforePrevious[j - 2] + 1);
+      }
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Cómo coincide la palabra buscada `query` con la palabra `term` del
+ * índice: `{ score, length }` (caracteres de `term` a resaltar) o null
+ */
+const matchTerm = (query, term) => {
+  if (term === query) return { score: MATCH_SCORES.exact, length: term.length };
+  if (term.startsWith(query)) return { score: MATCH_SCORES.prefix, length: query.length };
+
+  const typos = maxTypos(query.length);
+  if (typos > 0) {
+    if (editDistance(query, term, typos) <= typos) return { score: MATCH_SCORES.typo, length: term.length };
+    // Palabra a medio escribir con un error ("tonl" -> "tonala")
+    if (term.length > query.length && editDistance(query, term.slice(0, query.length), typos) <= typos) {
+      return { score: MATCH_SCORES.typoPrefix, length: query.length };
+    }
+  }
+  if (query.length >= 3) {
+    const index = term.indexOf(query);
+    if (index > 0) return { score: MATCH_SCORES.contains, length: query.length, start: index };
+  }
+  return null;
+};
+
+/**
+ * Índice de búsqueda sobre `items`. `fields` es una lista de
+ * `{ key, weight }`: una coincidencia en un campo con más peso pesa más en
+ * el orden.
+ */
+export const createSearchIndex = (items, fields) => {
+  // palabra -> [{ item, field, start, offsets }]; `offsets` lleva cada
+  // posición del texto normalizado a la del original
+  const postings = new Map();
+
+  items.forEach((item, itemIndex) => {
+    fields.forEach(({ key }, fieldIndex) => {
+      const { text, offsets } = normalizeWithOffsets(item[key]);
+      for (const match of text.matchAll(WORD)) {
+        const term = match[0];
+        if (!postings.has(term)) postings.set(term, []);
+        postings.get(term).push({
+          item: itemIndex,
+          field: fieldIndex,
+          start: match.index,
+          offsets
+        });
+      }
+    });
+  });
+
+  return { items, fields, postings, terms: [...postings.keys()] };
+};
+
+/**
+ * Palabras de la búsqueda, normalizadas; las vacías ("de", "la",
+ * "parque"...) solo cuentan si no hay otras
+ */
+export const toQueryWords = (query) => {
+  const words = normalizeText(query).match(WORD) ?? [];
+  const distinctive = words.filter((word) => !STOP_WORDS.has(word));
+  return [...new Set(distinctive.length > 0 ? distinctive : words)];
+};
+
+/**
+ * Busca `query` en el índice. Cada palabra debe coincidir en algún campo;
+ * la puntuación suma la mejor coincidencia de cada palabra por el peso de
+ * su campo. Devuelve `[{ item, score, highlights }]`, de mayor a menor
+ * puntuación (empates en el orden original), con `highlights` =
+ * `{ [key]: [[inicio, fin], ...] }` sobre el texto original.
+ */
+export const searchIndex = (index, query) => {
+  const words = toQueryWords(query);
+  if (words.length === 0) return index.items.map((item) => ({ item, score: 0, highlights: {} }));
+
+  // item -> { scores: mejor puntuación por palabra, ranges: por campo }
+  const found = new Map();
+
+  words.forEach((word, wordIndex) => {
+    index.terms.forEach((term) => {
+      const match = matchTerm(word, term);
+      if (!match) return;
+
+      index.postings.get(term).forEach(({ item, field, start, offsets }) => {
+        // Solo interesan los que coincidieron con todas las palabras previas
+        if (wordIndex > 0 && !found.get(item)?.scores[wordIndex - 1]) return;
+        if (!found.has(item)) found.set(item, { scores: [], ranges: {} });
+
+        const entry = found.get(item);
+        const { key, weight } = index.fields[field];
+        const from = start + (match.start ?? 0);
+        entry.scores[wordIndex] = Math.max(entry.scores[wordIndex] ?? 0, match.score * weight);
+        (entry.ranges[key] ??= []).push([offsets[from], offsets[from + match.length]]);
+      });
+    });
+  });
+
+  const results = [];
+  found.forEach(({ scores, ranges }, item) => {
+    if (scores.filter(Boolean).length < words.length) return;
+    results.push({
+      item: index.items[item],
+      score: scores.reduce((sum, score) => sum + score, 0),
+      highlights: Object.fromEntries(
+        Object.entries(ranges).map(([key, list]) => [key, mergeRanges(list)])
+      ),
+      position: item
+    });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || a.position - b.position)
+    .map(({ item, score, highlights }) => ({ item, score, highlights }));
+};
+
+/** Rangos ordenados y sin solapes: [[0, 3], [2, 5]] -> [[0, 5]] */
+export const mergeRanges = (ranges = []) =>
+  [...ranges]
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, [start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+      else merged.push([start, end]);
+      return merged;
+    }, []);
+
+/**
+ * Trozos de `text` marcando los rangos que coincidieron:
+ * `[{ text, match }]`, para pintar cada coincidencia con <mark>
+ */
+export const splitHighlights = (text, ranges = []) => {
+  const value = String(text ?? '');
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > cursor) parts.push({ text: value.slice(cursor, start), match: false });
+    parts.push({ text: value.slice(start, end), match: true });
+    cursor = end;
+  });
+  if (cursor < value.length) parts.push({ text: value.slice(cursor), match: false });
+  return parts;
+};
@@ -0,0 +1,49 @@
+// utils/text.js
+
+/**
+ * Texto comparable: sin acentos, sin mayúsculas y sin espacios de sobra
+ * ("  Tonalá " -> "tonala")
+ */
+export const normalizeText = (value) =>
+  String(value ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+// Palabras que no distinguen un parque de otro ("Parque de la Solidaridad")
+export const STOP_WORDS = new Set(['parque', 'bosque', 'jardin', 'de', 'del', 'la', 'las', 'el', 'los', 'y', 'en']);
+
+/** Palabras normalizadas, sin puntuación */
+export const toWords = (value) => normalizeText(value).split(/[^\p{L}\d]+/u).filter(Boolean);
+
+// Pares de letras consecutivas, con repeticiones
+const bigrams = (text) => {
+  const pairs = new Map();
+  for (let i = 0; i < text.length - 1; i += 1) {
+    const pair = text.slice(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) ?? 0) + 1);
+  }
+  return pairs;
+};
+
+/**
+ * Similitud de 0 a 1 entre dos textos (coeficiente de Dice sobre bigramas,
+ * sin acentos ni mayúsculas): "Parque Colomos" ~ "Parque Los Colomos"
+ */
+export const textSimilarity = (a, b) => {
+  const left = toWords(a).join(' ');
+  const right = toWords(b).join(' ');
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  let shared = 0;
+  leftPairs.forEach((count, pair) => {
+    shared += Math.min(count, rightPairs.get(pair) ?? 0);
+  });
+  return (2 * shared) / (left.length - 1 + right.length - 1);
+};
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/** Texto seguro para el `html` de SweetAlert */
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
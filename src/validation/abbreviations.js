@@ -0,0 +1,46 @@
+// validation/abbreviations.js
+// Sugerencias de abreviación a partir del nombre del parque. La
+// abreviación debe ser única (el servidor responde 409 si se repite).
+
+import { STOP_WORDS, toWords } from '../utils/text';
+import { validateParkField } from './parkSchema';
+
+const initials = (words) => words.map((word) => word[0]).join('');
+
+/**
+ * Hasta `limit` abreviaciones válidas para `name` que no estén en `taken`
+ * (Set en mayúsculas). Primero iniciales sin "Parque", "de", etc., luego
+ * variantes con más letras y, solo al final, con número.
+ * "Parque Metropolitano de Guadalajara" -> MG, PMDG, METG, METRO...
+ */
+export const suggestAbbreviations = (name, taken = new Set(), { limit = 4 } = {}) => {
+  const words = toWords(name).map((word) => word.toUpperCase());
+  // Variantes sin números: "Parque 2 de Octubre" -> PARQUE, DE, OCTUBRE
+  const letterWords = words.map((word) => word.replace(/\d/g, '')).filter(Boolean);
+  const distinctive = letterWords.filter((word) => !STOP_WORDS.has(word.toLowerCase()));
+  const base = distinctive.length > 0 ? distinctive : letterWords;
+  if (base.length === 0) return [];
+
+  const [first, ...rest] = base;
+  const numbers = words.filter((word) => /^\d+$/.test(word)).join('');
+
+  const candidates = [
+    initials(base),
+    initials(letterWords),
+    rest.length > 0 ? first.slice(0, 3) + initials(rest) : first.slice(0, 4),
+    first.slice(0, 5),
+    first.slice(0, 3) + (rest[0] ?? '').slice(0, 3),
+    numbers && initials(base) + numbers,
+    ...Array.from({ length: 8 }, (_, index) => `${initials(base).length >= 2 ? initials(base) : first.slice(0, 3)}${index + 2}`)
+  ];
+
+  const suggestions = [];
+  candidates.forEach((candidate) => {
+    if (!candidate || suggestions.length >= limit) return;
+    const value = candidate.slice(0, 10);
+    if (suggestions.includes(value) || taken.has(value)) return;
+    if (validateParkField('park_abbreviation', value)) return;
+    suggestions.push(value);
+  });
+  return suggestions;
+};
@@ -0,0 +1,82 @@
+// validation/duplicates.js
+// Detección de parques probablemente duplicados antes de crear uno: el
+// servidor solo rechaza (409) abreviaciones repetidas, no parques casi
+// iguales con otra abreviación.
+
+import { haversineKm } from '../geo/distance';
+import { STOP_WORDS, textSimilarity, toWords } from '../utils/text';
+
+export const DUPLICATE_THRESHOLDS = {
+  // Similitud mínima entre nombres (sin "Parque", "de", etc.)
+  nameSimilarity: 0.8,
+  // Distancia máxima entre coordenadas, en km (VITE_DUPLICATE_DISTANCE_KM)
+  distanceKm: Number(import.meta.env.VITE_DUPLICATE_DISTANCE_KM) || 0.25
+};
+
+// Abreviaturas habituales en direcciones, para comparar "Av." con "Avenida"
+const ADDRESS_WORDS = {
+  av: 'avenida',
+  ave: 'avenida',
+  calz: 'calzada',
+  blvd: 'boulevard',
+  col: 'colonia',
+  fracc: 'fraccionamiento',
+  no: '',
+  num: '',
+  sn: 'sin numero'
+};
+
+/** Dirección comparable: sin acentos, puntuación ni abreviaturas */
+export const normalizeAddress = (address) =>
+  toWords(address)
+    .map((word) => ADDRESS_WORDS[word] ?? word)
+    .filter(Boolean)
+    .join(' ');
+
+const distinctiveName = (name) => {
+  const words = toWords(name);
+  const distinctive = words.filter((word) => !STOP_WORDS.has(word));
+  return (distinctive.length > 0 ? distinctive : words).join(' ');
+};
+
+const toPoint = (park) => {
+  const latitude = parseFloat(park.park_latitude);
+  const longitude = parseFloat(park.park_longitude);
+  return Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null;
+};
+
+/**
+ * Parques de `parks` que se parecen a `candidate` por nombre, dirección o
+ * cercanía. Cada resultado es `{ park, reasons }`, con `reasons` del tipo
+ * `{ type: 'name', similarity }`, `{ type: 'address' }` o
+ * `{ type: 'distance', km }`; los más parecidos primero. `excludeId` omite
+ * el propio parque al editar.
+ */
+export const findDuplicateParks = (candidate, parks, { excludeId = null, ...options } = {}) => {
+  const thresholds = { ...DUPLICATE_THRESHOLDS, ...options };
+  const name = distinctiveName(candidate.park_name);
+  const address = normalizeAddress(candidate.park_address);
+  const point = toPoint(candidate);
+
+  return parks
+    .filter((park) => park.pending?.type !== 'delete' && (excludeId === null || String(park.id) !== String(excludeId)))
+    .map((park) => {
+      const reasons = [];
+
+      const similarity = textSimilarity(name, distinctiveName(park.park_name));
+      if (similarity >= thresholds.nameSimilarity) reasons.push({ type: 'name', similarity });
+
+      if (address && address === normalizeAddress(park.park_address)) reasons.push({ type: 'address' });
+
+      const parkPoint = toPoint(park);
+      if (point && parkPoint) {
+        const km = haversineKm(point, parkPoint);
+        if (km <= thresholds.distanceKm) reasons.push({ type: 'distance', km });
+      }
+
+      return { park, reasons, similarity };
+    })
+    .filter(({ reasons }) => reasons.length > 0)
+    .sort((a, b) => b.reasons.length - a.reasons.length || b.similarity - a.similarity)
+    .map(({ park, reasons }) => ({ park, reasons }));
+};
@@ -0,0 +1,101 @@
+// validation/messages.js
+// Traducción de los códigos de error y advertencia de ./parkSchema.js y de
+// los nombres de los campos. Para agregar un idioma basta con otra entrada
+// en MESSAGES y FIELD_LABELS con las mismas claves.
+
+export const DEFAULT_LOCALE = 'es';
+
+const MESSAGES = {
+  es: {
+    required: () => 'Campo requerido',
+    image_required: () => 'Escribe una URL o sube una imagen',
+    too_short: ({ min }) => `Mínimo ${min} caracteres`,
+    too_long: ({ max }) => `Máximo ${max} caracteres`,
+    invalid_name_chars: () => 'Solo letras, números, espacios y puntuación básica',
+    invalid_abbreviation_chars: () => 'Solo letras y números, sin espacios',
+    invalid_url: () => 'URL inválida (debe iniciar con http:// o https://)',
+    invalid_image_type: ({ extensions }) => `La imagen debe ser ${extensions.map((ext) => `.${ext}`).join(', ')}`,
+    invalid_option: () => 'Opción no válida',
+    not_integer: () => 'Debe ser un número entero',
+    not_number: () => 'Debe ser un número',
+    zip_out_of_region: ({ region, hint }) => `Código inválido para ${region} (${hint})`,
+    out_of_range: ({ min, max, region }) => `Fuera de rango${region ? ` para ${region}` : ''} (${min} a ${max})`,
+    invalid_format: () => 'Formato inválido',
+    abbreviation_taken: ({ park }) => `Ya la usa «${park}»`,
+    zip_city_mismatch: ({ zip, city, expectedCity, expectedState }) =>
+      `El código ${zip} es de ${expectedCity}, ${expectedState}, no de ${city}`,
+    image_too_small: ({ width, height, minWidth, minHeight }) =>
+      `Imagen muy pequeña (${width} × ${height} px); se verá borrosa. Mínimo ${minWidth} × ${minHeight} px`,
+    image_too_large: ({ width, height, maxWidth, maxHeight }) =>
+      `Imagen muy grande (${width} × ${height} px); tardará en cargar. Máximo ${maxWidth} × ${maxHeight} px`,
+    image_aspect: ({ ratio, min, max }) =>
+      `Proporción ${ratio}:1; las tarjetas la recortarán (recomendado entre ${min}:1 y ${max}:1, horizontal)`
+  },
+  en: {
+    required: () => 'This field is required',
+    image_required: () => 'Enter a URL or upload an image',
+    too_short: ({ min }) => `At least ${min} characters`,
+    too_long: ({ max }) => `At most ${max} characters`,
+    invalid_name_chars: () => 'Only letters, digits, spaces and basic punctuation',
+    invalid_abbreviation_chars: () => 'Only letters and digits, no spaces',
+    invalid_url: () => 'Invalid URL (must start with http:// or https://)',
+    invalid_image_type: ({ extensions }) => `The image must be ${extensions.map((ext) => `.${ext}`).join(', ')}`,
+    invalid_option: () => 'Invalid option',
+    not_integer: () => 'Must be a whole number',
+    not_number: () => 'Must be a number',
+    zip_out_of_region: ({ region, hint }) => `Invalid zip code for ${region} (${hint})`,
+    out_of_range: ({ min, max, region }) => `Out of range${region ? ` for ${region}` : ''} (${min} to ${max})`,
+    invalid_format: () => 'Invalid format',
+    abbreviation_taken: ({ park }) => `Already used by “${park}”`,
+    zip_city_mismatch: ({ zip, city, expectedCity, expectedState }) =>
+      `Zip code ${zip} belongs to ${expectedCity}, ${expectedState}, not ${city}`,
+    image_too_small: ({ width, height, minWidth, minHeight }) =>
+      `Image too small (${width} × ${height} px); it will look blurry. Minimum ${minWidth} × ${minHeight} px`,
+    image_too_large: ({ width, height, maxWidth, maxHeight }) =>
+      `Image too large (${width} × ${height} px); it will load slowly. Maximum ${maxWidth} × ${maxHeight} px`,
+    image_aspect: ({ ratio, min, max }) =>
+      `Aspect ratio ${ratio}:1; cards will crop it (recommended ${min}:1 to ${max}:1, landscape)`
+  }
+};
+
+// Nombre de cada campo para resúmenes (cambios, borradores, sugerencias)
+const FIELD_LABELS = {
+  es: {
+    park_name: 'Nombre',
+    park_abbreviation: 'Abreviación',
+    park_img_url: 'URL de imagen',
+    park_img: 'Imagen subida',
+    park_address: 'Dirección',
+    park_city: 'Ciudad',
+    park_state: 'Estado',
+    park_zip_code: 'Código postal',
+    park_latitude: 'Latitud',
+    park_longitude: 'Longitud'
+  },
+  en: {
+    park_name: 'Name',
+    park_abbreviation: 'Abbreviation',
+    park_img_url: 'Image URL',
+    park_img: 'Uploaded image',
+    park_address: 'Address',
+    park_city: 'City',
+    park_state: 'State',
+    park_zip_code: 'Zip code',
+    park_latitude: 'Latitude',
+    park_longitude: 'Longitude'
+  }
+};
+
+export const getFieldLabel = (field, locale = DEFAULT_LOCALE) =>
+  (FIELD_LABELS[locale] || FIELD_LABELS[DEFAULT_LOCALE])[field] ?? field;
+
+/**
+ * Texto de un error `{ code, params }` en el idioma pedido (o el de
+ * respaldo si no existe la traducción)
+ */
+export const formatValidationError = (error, locale = DEFAULT_LOCALE) => {
+  if (!error) return null;
+  const messages = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+  const format = messages[error.code] || MESSAGES[DEFAULT_LOCALE][error.code];
+  return format ? format(error.params || {}) : error.code;
+};
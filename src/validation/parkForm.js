@@ -0,0 +1,83 @@
+// validation/parkForm.js
+// Valores de los formularios de parque (todo como texto) a partir de un
+// parque del servidor, y copia de un parque existente como punto de
+// partida de uno nuevo ("Duplicar").
+
+import { findMunicipality, findState, formatZip } from '../data/regions';
+import { normalizeText } from '../utils/text';
+import { PARK_SCHEMA, validateParkField } from './parkSchema';
+
+export const EMPTY_PARK_FORM = {
+  park_name: '',
+  park_abbreviation: '',
+  park_img_url: '',
+  park_address: '',
+  park_city: '',
+  park_state: '',
+  park_zip_code: '',
+  park_latitude: '',
+  park_longitude: ''
+};
+
+const COPY_SUFFIX = ' - copia';
+
+/**
+ * Parque del servidor -> valores del formulario. Estado y ciudad con el
+ * nombre del catálogo ("jalisco" -> "Jalisco") para que coincidan con los
+ * selects; código postal con sus 5 dígitos.
+ */
+export const parkToFormData = (park) => ({
+  park_name: park.park_name || '',
+  park_abbreviation: park.park_abbreviation || '',
+  park_img_url: park.park_img_url || '',
+  park_address: park.park_address || '',
+  park_city: findMunicipality(park.park_state, park.park_city)?.name || park.park_city || '',
+  park_state: findState(park.park_state)?.name || park.park_state || '',
+  park_zip_code: park.park_zip_code !== null && park.park_zip_code !== undefined ? formatZip(park.park_zip_code) : '',
+  park_latitude: park.park_latitude?.toString() || '',
+  park_longitude: park.park_longitude?.toString() || ''
+});
+
+/**
+ * "Parque X - copia", "Parque X - copia 2"... el primero que no use otro
+ * parque, recortando el nombre para respetar la longitud máxima
+ */
+export const copyParkName = (name, parks = []) => {
+  const used = new Set(parks.map((park) => normalizeText(park.park_name)));
+  const base = String(name ?? '').trim();
+
+  for (let n = 1; n < 100; n += 1) {
+    const suffix = n === 1 ? COPY_SUFFIX : `${COPY_SUFFIX} ${n}`;
+    const candidate = `${base.slice(0, PARK_SCHEMA.park_name.maxLength - suffix.length).trim()}${suffix}`;
+    if (!used.has(normalizeText(candidate))) return candidate;
+  }
+  return '';
+};
+
+/**
+ * "PM" -> "PM2", "PM3"... la primera abreviación válida y libre; vacía si
+ * no hay ninguna (el usuario elige una de las sugerencias)
+ */
+export const copyAbbreviation = (abbreviation, parks = []) => {
+  const taken = new Set(parks.map((park) => String(park.park_abbreviation ?? '').toUpperCase()));
+  const base = String(abbreviation ?? '').trim().toUpperCase();
+  if (!base) return '';
+
+  for (let n = 2; n < 100; n += 1) {
+    const suffix = String(n);
+    const candidate = `${base.slice(0, PARK_SCHEMA.park_abbreviation.maxLength - suffix.length)}${suffix}`;
+    if (!taken.has(candidate) && !validateParkField('park_abbreviation', candidate)) return candidate;
+  }
+  return '';
+};
+
+/**
+ * Valores para crear un parque a partir de `source`: misma dirección,
+ * ciudad, código postal e imagen, con nombre y abreviación únicos entre
+ * `parks`. Las coordenadas se copian pero el formulario pide revisarlas.
+ */
+export const cloneParkFormData = (source, parks = []) => ({
+  ...parkToFormData(source),
+  park_name: copyParkName(source.park_name, parks),
+  park_abbreviation: copyAbbreviation(source.park_abbreviation, parks)
+});
@@ -0,0 +1,299 @@
+// validation/parkSchema.js
+// Esquema único de un parque: reglas por campo, límites, ciudades válidas,
+// rangos de código postal y coordenadas, y conversión de tipos. Lo usan los
+// formularios (hooks/useFormValidation.js), serializePark/normalizePark y
+// cualquier importación de datos. Ciudades, códigos postales y coordenadas
+// se validan contra el estado elegido (ver data/regions.js).
+//
+// Que el código postal sea de otro municipio del mismo estado no es un
+// error sino una advertencia (checkParkWarnings): el catálogo de códigos
+// (data/zipCodes.js) es un extracto y el usuario puede confirmar.
+//
+// Los errores son códigos estructurados `{ code, params }`, sin texto; la
+// traducción está en ./messages.js.
+
+import {
+  STATE_NAMES,
+  describeZipRanges,
+  findMunicipality,
+  findState,
+  formatZip,
+  getMunicipalities,
+  getZipRanges
+} from '../data/regions';
+import { findZipMunicipality } from '../data/zipCodes';
+
+export const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png'];
+
+// Imagen subida como archivo (park_img, aún sin enviar) o ya guardada en
+// el servidor (park_img_uri): con ella la URL es opcional
+const hasUploadedImage = (data) => Boolean(data.park_img || data.park_img_uri);
+
+// Sin estado válido no hay límites que aplicar
+const stateBounds = (data) => findState(data.park_state)?.bounds ?? {};
+
+/**
+ * Reglas declarativas por campo:
+ *   type       string | url | enum | integer | number
+ *   required   el campo no puede quedar vacío (+ requiredCode)
+ *   minLength / maxLength, pattern + patternCode (texto)
+ *   values     opciones válidas (enum)
+ *   min / max  rango (number)
+ *   ranges     rangos `[desde, hasta]` permitidos (integer)
+ *   transform  normalización del texto al serializar
+ *   dependsOn  campos que, al cambiar, obligan a revalidar este
+ *
+ * `required`, `values`, `min`, `max`, `ranges` y `params` pueden ser
+ * funciones del parque completo: así las reglas dependen del estado y
+ * municipio elegidos, o de si se subió una imagen.
+ */
+export const PARK_SCHEMA = {
+  park_name: {
+    type: 'string',
+    required: true,
+    minLength: 3,
+    maxLength: 100,
+    // Letras (con acentos), dígitos, espacios y puntuación común en nombres
+    pattern: /^[\p{L}\d\s.,'’-]+$/u,
+    patternCode: 'invalid_name_chars'
+  },
+  park_abbreviation: {
+    type: 'string',
+    required: true,
+    minLength: 2,
+    maxLength: 10,
+    pattern: /^[\p{L}\d]+$/u,
+    patternCode: 'invalid_abbreviation_chars',
+    transform: (value) => value.toUpperCase()
+  },
+  park_img_url: {
+    type: 'url',
+    required: (data) => !hasUploadedImage(data),
+    requiredCode: 'image_required',
+    maxLength: 2048,
+    extensions: IMAGE_EXTENSIONS
+  },
+  park_address: {
+    type: 'string',
+    required: true,
+    minLength: 10,
+    maxLength: 150
+  },
+  park_city: {
+    type: 'enum',
+    required: true,
+    values: (data) => getMunicipalities(data.park_state),
+    dependsOn: ['park_state']
+  },
+  park_state: {
+    type: 'enum',
+    required: true,
+    values: STATE_NAMES
+  },
+  park_zip_code: {
+    type: 'integer',
+    required: true,
+    // Solo el estado: el municipio se revisa como advertencia
+    ranges: (data) => getZipRanges(data.park_state),
+    rangesCode: 'zip_out_of_region',
+    params: (data) => ({
+      region: findState(data.park_state)?.name,
+      hint: describeZipRanges(getZipRanges(data.park_state) ?? [])
+    }),
+    dependsOn: ['park_state']
+  },
+  park_latitude: {
+    type: 'number',
+    required: true,
+    min: (data) => stateBounds(data).south,
+    max: (data) => stateBounds(data).north,
+    params: (data) => ({ region: findState(data.park_state)?.name }),
+    dependsOn: ['park_state']
+  },
+  park_longitude: {
+    type: 'number',
+    required: true,
+    min: (data) => stateBounds(data).west,
+    max: (data) => stateBounds(data).east,
+    params: (data) => ({ region: findState(data.park_state)?.name }),
+    dependsOn: ['park_state']
+  }
+};
+
+export const PARK_FIELDS = Object.keys(PARK_SCHEMA);
+
+/** Campos del esquema con distinto valor en `a` y `b` (vacío = undefined) */
+export const getChangedFields = (a = {}, b = {}) =>
+  PARK_FIELDS.filter((field) => (a[field] ?? '') !== (b[field] ?? ''));
+
+/** Campos que deben revalidarse cuando cambia `field` */
+export const getDependentFields = (field) =>
+  PARK_FIELDS.filter((name) => PARK_SCHEMA[name].dependsOn?.includes(field));
+
+const RESOLVED_KEYS = ['required', 'values', 'min', 'max', 'ranges', 'params'];
+
+// Evalúa las propiedades que dependen del resto del parque
+const resolveRule = (rule, data) =>
+  RESOLVED_KEYS.reduce((resolved, key) => {
+    if (typeof rule[key] === 'function') resolved[key] = rule[key](data);
+    return resolved;
+  }, { ...rule });
+
+const isBlank = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const fail = (code, params = {}) => ({ code, params });
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+  } catch {
+    return null;
+  }
+};
+
+const checkLength = (text, rule) => {
+  if (rule.minLength && text.length < rule.minLength) return fail('too_short', { min: rule.minLength });
+  if (rule.maxLength && text.length > rule.maxLength) return fail('too_long', { max: rule.maxLength });
+  return null;
+};
+
+const validators = {
+  string(value, rule) {
+    const text = String(value).trim();
+    const lengthError = checkLength(text, rule);
+    if (lengthError) return lengthError;
+    if (rule.pattern && !rule.pattern.test(text)) return fail(rule.patternCode || 'invalid_format', rule.params);
+    return null;
+  },
+
+  url(value, rule) {
+    const text = String(value).trim();
+    const lengthError = checkLength(text, rule);
+    if (lengthError) return lengthError;
+
+    const url = isHttpUrl(text);
+    if (!url) return fail('invalid_url');
+
+    if (rule.extensions) {
+      const extension = url.pathname.split('.').pop().toLowerCase();
+      if (!rule.extensions.includes(extension)) return fail('invalid_image_type', { extensions: rule.extensions });
+    }
+    return null;
+  },
+
+  enum(value, rule) {
+    return rule.values.includes(value) ? null : fail('invalid_option', { values: rule.values });
+  },
+
+  integer(value, rule) {
+    const text = String(value).trim();
+    if (!/^-?\d+$/.test(text)) return fail('not_integer');
+    if (rule.pattern && !rule.pattern.test(text)) return fail(rule.patternCode || 'invalid_format', rule.params);
+
+    const number = parseInt(text, 10);
+    if (rule.ranges && !rule.ranges.some(([from, to]) => number >= from && number <= to)) {
+      return fail(rule.rangesCode || 'out_of_range', rule.params);
+    }
+    return null;
+  },
+
+  number(value, rule) {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isFinite(number)) return fail('not_number');
+    if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+      return fail('out_of_range', { min: rule.min, max: rule.max, ...rule.params });
+    }
+    return null;
+  }
+};
+
+/**
+ * Valida un campo. Acepta el texto del formulario o el valor ya tipado;
+ * `data` es el parque completo para las reglas que dependen de otros campos.
+ * Devuelve `{ code, params }` o null.
+ */
+export const validateParkField = (field, value, data = {}) => {
+  const rule = PARK_SCHEMA[field];
+  if (!rule) return null;
+  const resolved = resolveRule(rule, { ...data, [field]: value });
+  if (isBlank(value)) return resolved.required ? fail(rule.requiredCode || 'required') : null;
+  return validators[rule.type](value, resolved);
+};
+
+/**
+ * Valida un parque completo. Con `partial` solo se validan los campos
+ * presentes (edición parcial o importación). Devuelve null si es válido o
+ * `{ campo: { code, params } }`.
+ */
+export const validatePark = (data, { partial = false } = {}) => {
+  const errors = {};
+
+  PARK_FIELDS.forEach((field) => {
+    if (partial && !Object.prototype.hasOwnProperty.call(data, field)) return;
+    const error = validateParkField(field, data[field], data);
+    if (error) errors[field] = error;
+  });
+
+  return Object.keys(errors).length > 0 ? errors : null;
+};
+
+/**
+ * Advertencias que no impiden guardar pero conviene confirmar: hoy, un
+ * código postal que pertenece a otro municipio que la ciudad elegida.
+ * Devuelve null o `{ campo: { code, params } }`.
+ */
+export const checkParkWarnings = (data) => {
+  const warnings = {};
+  const state = findState(data.park_state);
+  const city = findMunicipality(data.park_state, data.park_city);
+  const zipMunicipality = city && findZipMunicipality(data.park_zip_code, state.name);
+
+  if (zipMunicipality && (zipMunicipality.city !== city.name || zipMunicipality.state !== state.name)) {
+    warnings.park_zip_code = fail('zip_city_mismatch', {
+      zip: formatZip(String(data.park_zip_code).trim()),
+      city: city.name,
+      expectedCity: zipMunicipality.city,
+      expectedState: zipMunicipality.state
+    });
+  }
+
+  return Object.keys(warnings).length > 0 ? warnings : null;
+};
+
+/**
+ * Convierte un valor al tipo del campo: texto recortado, entero o decimal.
+ * Vacío o no convertible -> null.
+ */
+export const coerceParkField = (field, value) => {
+  const rule = PARK_SCHEMA[field];
+  if (!rule) return value;
+  if (isBlank(value)) return rule.type === 'enum' || rule.type === 'string' || rule.type === 'url' ? '' : null;
+
+  switch (rule.type) {
+    case 'integer': {
+      const number = parseInt(value, 10);
+      return Number.isNaN(number) ? null : number;
+    }
+    case 'number': {
+      const number = parseFloat(value);
+      return Number.isNaN(number) ? null : number;
+    }
+    default: {
+      const text = String(value).trim();
+      return rule.transform ? rule.transform(text) : text;
+    }
+  }
+};
+
+/**
+ * Objeto con solo los campos del esquema, ya convertidos a sus tipos
+ */
+export const coercePark = (data) =>
+  PARK_FIELDS.reduce((park, field) => {
+    if (Object.prototype.hasOwnProperty.call(data, field)) {
+      park[field] = coerceParkField(field, data[field]);
+    }
+    return park;
+  }, {});
@@ -1,18 +1,22 @@
-
-import { defineConfig } from "vite";
+import { defineConfig, loadEnv } from "vite";
 import react from "@vitejs/plugin-react";
 import tailwindcss from "@tailwindcss/vite";
+import { createViteApiProxy } from "./server/apiProxy.js";
+
+export default defineConfig(({ mode }) => {
+  // Prefijo '' para leer también AMBU_* (sin VITE_ no llegan al bundle)
+  const env = { ...process.env, ...loadEnv(mode, process.cwd(), "") };
+  // Misma configuración para `vite` y `vite preview`: las claves Ambu
+  // se agregan en el proxy, nunca en el navegador
+  const apiProxy = createViteApiProxy(env);
 
-export default defineConfig({
-  plugins: [react(), tailwindcss()],
-  server: {
-    proxy: {
-      "/api": {
-        target: "https://azuritaa33.sg-host.com", // Solo la URL base del servidor
-        changeOrigin: true,
-        secure: true, // Cambia a true para HTTPS
-        rewrite: (path) => path, // No reescribas la ruta
-      },
+  return {
+    plugins: [react(), tailwindcss()],
+    server: {
+      proxy: apiProxy,
+    },
+    preview: {
+      proxy: apiProxy,
     },
-  },
-});
\ No newline at end of file
+  };
+});